@@ -0,0 +1,81 @@
+import sharp from 'sharp'
+import { Logger } from '../utils/Logger.js'
+
+/**
+ * GIF y WebP animados. Por defecto sharp solo lee el primer fotograma: una entrada con varios
+ * se abre entera (`animated`), los pasos se aplican a cada fotograma y el codificador WebP o GIF
+ * conserva los tiempos de cada uno (delay) y las repeticiones (loop)
+ *
+ * Se conserva solo el primer fotograma si:
+ *   firstFrame  se pide una imagen fija (--first-frame)
+ *   el formato de salida no admite animación (avif, jpeg, png)
+ *   algún paso no se puede aplicar fotograma a fotograma (ver PipelineSteps.register)
+ */
+export class Animation {
+	// Formatos que se leen y se escriben con varios fotogramas
+	static FORMATS = ['webp', 'gif']
+
+	/**
+	 * Opciones de entrada de sharp
+	 * @param {boolean} animated - Si se leen todos los fotogramas
+	 * @returns {Object|undefined}
+	 */
+	static getInputOptions(animated) {
+		return animated ? { animated: true } : undefined
+	}
+
+	/**
+	 * Fotogramas de una entrada animada
+	 * @param {string|Buffer} input - Ruta o Buffer de la imagen
+	 * @returns {Promise<{format: string, pages: number, delay: Array<number>, loop: number}|null>}
+	 * null si la imagen tiene un solo fotograma (loop: 0 es infinito)
+	 */
+	static async getFrames(input) {
+		const { format, pages = 1, delay = [], loop = 0 } = await sharp(input).metadata()
+		if (!this.FORMATS.includes(format) || pages < 2) return null
+
+		return { format, pages, delay, loop }
+	}
+
+	/**
+	 * Decide si una entrada se procesa como animación y avisa si se pierde
+	 * @param {string|Buffer} input - Ruta o Buffer de la imagen
+	 * @param {Object} options - Opciones
+	 * @param {Array<string>} options.formats - Formatos de salida posibles (vacío: el de la entrada)
+	 * @param {boolean} options.firstFrame - Conservar solo el primer fotograma
+	 * @param {Array<string>} options.unsupported - Pasos que no se pueden aplicar a cada fotograma
+	 * @returns {Promise<Object|null>} Fotogramas de getFrames() si se conserva la animación
+	 */
+	static async resolve(input, { formats = [], firstFrame = false, unsupported = [] } = {}) {
+		if (firstFrame) return null
+
+		const frames = await this.getFrames(input)
+		if (!frames) return null
+
+		let reason = null
+		if (formats.length > 0 && !formats.some(format => this.FORMATS.includes(format))) {
+			reason = `${formats.join(', ').toUpperCase()} no ${formats.length > 1 ? 'admiten' : 'admite'} animación (usa webp o gif)`
+		} else if (unsupported.length > 0) {
+			reason = `${unsupported.join(', ')} no se puede aplicar a cada fotograma`
+		}
+
+		if (reason) {
+			Logger.warn(`${reason}: solo se conserva el primer fotograma (--first-frame para no avisar)`)
+			return null
+		}
+
+		return frames
+	}
+
+	/**
+	 * Descripción de una línea, p. ej. "4 fotogramas, 0.78 s, bucle infinito"
+	 * @param {Object} frames - Resultado de getFrames()
+	 * @returns {string}
+	 */
+	static describe({ pages, delay, loop }) {
+		const duration = delay.reduce((total, ms) => total + ms, 0) / 1000
+		const repeat = loop === 0 ? 'bucle infinito' : `${loop} ${loop === 1 ? 'vez' : 'veces'}`
+
+		return `${pages} fotogramas, ${Number(duration.toFixed(2))} s, ${repeat}`
+	}
+}
@@ -0,0 +1,152 @@
+import sharp from 'sharp'
+import { Logger } from '../utils/Logger.js'
+
+/**
+ * Formato automático (`format: "auto"`): se codifica la imagen en cada formato candidato
+ * y se queda el resultado más pequeño de los aceptados. Restricciones:
+ *
+ *   formats     candidatos permitidos (por defecto avif, webp y jpeg)
+ *   compatible  solo formatos que cualquier navegador o programa abre (jpeg y png)
+ *   transparencia: si la imagen tiene píxeles transparentes se descartan los formatos sin alfa
+ *
+ * Con el tipo de contenido (ContentClassifier), los gráficos y dibujos prueban por defecto
+ * WebP sin pérdida y PNG con paleta en lugar de los formatos con pérdida
+ *
+ * Con minSsim en la codificación cada candidato busca su menor calidad que cumple la
+ * similitud y los que no la alcanzan se descartan (umbral de calidad común a todos)
+ */
+export class AutoFormat {
+	static CANDIDATES = ['avif', 'webp', 'jpeg']
+	static FORMATS = ['avif', 'webp', 'jpeg', 'png']
+	static COMPATIBLE = ['jpeg', 'png']
+	static GRAPHIC = ['webp', 'png']
+	static ALPHA = ['avif', 'webp', 'png']
+
+	/**
+	 * Si un formato es el automático
+	 * @param {string} format - Formato
+	 * @returns {boolean}
+	 */
+	static isAuto(format) {
+		return typeof format === 'string' && format.toLowerCase() === 'auto'
+	}
+
+	/**
+	 * Formato para las descripciones de los planes: con auto, los candidatos y las restricciones
+	 * @param {string} format - Formato de la codificación
+	 * @param {Object} encoder - Paso de codificación { formats, compatible }
+	 * @returns {string} p. ej. "webp" o "auto (avif, webp, jpeg)"
+	 */
+	static describe(format, { formats, compatible } = {}) {
+		if (!this.isAuto(format)) return format
+
+		const candidates = formats ?? (compatible ? this.COMPATIBLE : this.CANDIDATES)
+		return `auto (${candidates.join(', ')}${compatible ? ', compatible' : ''})`
+	}
+
+	/**
+	 * Formatos a probar para una imagen según las restricciones de la codificación
+	 * @param {string|Buffer} input - Imagen tal como llega a la codificación
+	 * @param {Object} encoder - Paso de codificación { formats, compatible }
+	 * @param {string|null} content - Tipo de contenido (photo, graphic, lineart), si se ha clasificado
+	 * @returns {Promise<{candidates: Array<string>, alpha: boolean}>}
+	 * @throws {Error} Si ningún formato cumple las restricciones
+	 */
+	static async getCandidates(input, { formats, compatible = false } = {}, content = null) {
+		const defaults = compatible
+			? this.COMPATIBLE
+			: content && content !== 'photo'
+				? this.GRAPHIC
+				: this.CANDIDATES
+		let candidates = (formats ?? defaults).map(format =>
+			format.toLowerCase() === 'jpg' ? 'jpeg' : format.toLowerCase(),
+		)
+
+		if (compatible) {
+			candidates = candidates.filter(format => this.COMPATIBLE.includes(format))
+		}
+
+		const alpha = await this.hasTransparency(input)
+		if (alpha) {
+			candidates = candidates.filter(format => this.ALPHA.includes(format))
+		}
+
+		if (candidates.length === 0) {
+			const constraints = [compatible && 'compatible', alpha && 'con transparencia'].filter(Boolean)
+			throw new Error(
+				`Ningún formato candidato (${(formats ?? defaults).join(', ')}) sirve para una imagen ` +
+					`${constraints.join(' y ')}: añade png a los formatos`,
+			)
+		}
+
+		return { candidates: [...new Set(candidates)], alpha }
+	}
+
+	/**
+	 * Elige el resultado más pequeño entre los candidatos aceptados
+	 * @param {Array<Object>} results - { format, data, info, search } o { format, error } por candidato
+	 * @returns {{chosen: Object, summary: Object}} Resultado elegido y resumen
+	 * { format, candidates: [{ format, size, quality, ssim, rejected }] } para el objeto de resultado
+	 * @throws {Error} Si ninguno es aceptable (con el motivo de cada uno)
+	 */
+	static choose(results) {
+		const rejection = result => {
+			if (result.error) return result.error
+			if (result.search?.met === false) {
+				return `SSIM ${result.search.ssim.toFixed(4)} < ${result.search.minSsim}`
+			}
+			return null
+		}
+
+		const accepted = results
+			.filter(result => !rejection(result))
+			.sort((a, b) => a.data.length - b.data.length)
+		const [chosen] = accepted
+
+		const candidates = results.map(result => ({
+			format: result.format,
+			size: result.data?.length ?? null,
+			quality: result.search?.quality ?? result.quality ?? null,
+			...(result.search?.ssim !== undefined && { ssim: result.search.ssim }),
+			rejected: result === chosen ? false : (rejection(result) ?? 'mayor'),
+		}))
+
+		if (!chosen) {
+			throw new Error(
+				'Ningún formato es aceptable: ' +
+					candidates.map(({ format, rejected }) => `${format} (${rejected})`).join(', '),
+			)
+		}
+
+		return { chosen, summary: { format: chosen.format, candidates } }
+	}
+
+	/**
+	 * Muestra la elección y el tamaño de los descartados
+	 * @param {Object} summary - Resumen de choose()
+	 */
+	static log(summary) {
+		const size = candidate => (candidate.size === null ? '' : ` ${Logger.formatBytes(candidate.size)}`)
+		const rejected = summary.candidates
+			.filter(candidate => candidate.rejected)
+			.map(candidate => `${candidate.format}${size(candidate)} (${candidate.rejected})`)
+
+		const chosen = summary.candidates.find(candidate => !candidate.rejected)
+		Logger.info(
+			`Formato automático: ${summary.format.toUpperCase()}${size(chosen)}` +
+				(rejected.length > 0 ? `; descartados: ${rejected.join(', ')}` : ''),
+		)
+	}
+
+	/**
+	 * Si la imagen tiene algún píxel no opaco (un canal alfa totalmente opaco no cuenta)
+	 * @private
+	 */
+	static async hasTransparency(input) {
+		const { hasAlpha } = await sharp(input).metadata()
+		if (!hasAlpha) return false
+
+		const { isOpaque } = await sharp(input).stats()
+		return !isOpaque
+	}
+}
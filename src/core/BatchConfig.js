@@ -0,0 +1,494 @@
+import { existsSync, readFileSync, statSync } from 'fs'
+import { extname, resolve } from 'path'
+import { ImageValidator } from './ImageValidator.js'
+import { MetadataPolicy } from './MetadataPolicy.js'
+import { OptimizerFactory } from './OptimizerFactory.js'
+import { PipelineSteps } from './PipelineSteps.js'
+import { FileManager } from '../utils/fileManager.js'
+import { Logger } from '../utils/Logger.js'
+
+const {
+	outputFormats: OUTPUT_FORMATS,
+	dimension: DIMENSION,
+	encoder: ENCODER_KEYS,
+	resizeOptions: RESIZE_OPTIONS,
+	compress: COMPRESS_KEYS,
+} = PipelineSteps.SCHEMAS
+
+// Las claves de un paso dependen de su tipo (ver PipelineSteps.register)
+const STEP = {
+	type: 'object',
+	keys: step => PipelineSteps.getKeys(step),
+	check: step => BatchConfig.checkStep(step),
+}
+
+const OPERATIONS = {
+	type: 'object',
+	keys: {
+		convert: {
+			type: 'object',
+			nullable: true,
+			keys: {
+				format: { type: 'string', required: true, choices: OUTPUT_FORMATS },
+				options: { type: 'object', keys: ENCODER_KEYS },
+			},
+		},
+		resize: {
+			type: 'object',
+			nullable: true,
+			keys: {
+				width: DIMENSION,
+				height: DIMENSION,
+				options: { type: 'object', keys: RESIZE_OPTIONS },
+			},
+		},
+		compress: {
+			type: 'object',
+			nullable: true,
+			keys: {
+				...COMPRESS_KEYS,
+				metadata: { type: 'string', choices: [...MetadataPolicy.POLICIES, 'none', 'all'] },
+			},
+		},
+		steps: { type: 'array', nullable: true, items: STEP },
+		values: { type: 'object', check: values => BatchConfig.checkValues(values) },
+		metadata: { type: 'string', choices: [...MetadataPolicy.POLICIES, 'none', 'all'] },
+		autoOrient: { type: 'boolean' },
+		firstFrame: { type: 'boolean' },
+	},
+}
+
+const ENTRY = {
+	type: 'object',
+	keys: {
+		input: {
+			type: 'string',
+			required: true,
+			check: value => (value.trim() ? null : 'no puede estar vacío'),
+		},
+		output: {
+			type: 'string',
+			required: true,
+			check: value => (value.trim() ? null : 'no puede estar vacío'),
+		},
+		operations: OPERATIONS,
+		recursive: { type: 'boolean' },
+		maxDepth: { type: 'integer', min: 0 },
+		symlinks: { type: 'string', choices: FileManager.SYMLINK_POLICIES },
+		cache: { type: 'boolean' },
+		force: { type: 'boolean' },
+	},
+}
+
+/**
+ * Archivo de configuración del comando batch. Esquema:
+ *
+ *   {
+ *     "defaults": { ...entrada sin input },      // opcional, lo heredan todas las entradas
+ *     "images": [                                // obligatorio, al menos una entrada
+ *       {
+ *         "input": "fotos",                     // obligatorio: archivo o directorio existente
+ *         "output": "web",                      // obligatorio
+ *         "operations": {
+ *           "convert":  { "format": "webp|avif|jpeg|jpg|png|gif|auto", "options": { "quality": 1-100, ... } },
+ *           "resize":   { "width": 1-10000, "height": 1-10000, "options": { "fit": "cover|contain|fill|inside|outside", ... } },
+ *           "compress": { "format": ..., "quality": 1-100, "maxSize": "150KB", "minQuality": 1-100,
+ *                         "minSsim": 0-1, "allowResize": true, ... },
+ *                       // con format "auto": "formats": ["avif", "webp", "jpeg"], "compatible": false
+ *                       // según el contenido (ContentClassifier): "content": "auto|photo|graphic|lineart"
+ *           "steps": [{ "type": "crop", ... }, ..., { "type": "encode", ... }], // o pasos ordenados (PipelineSteps)
+ *           "values": { "title": "...", "price": "49 €" },  // {valores} de los pasos text (ImageText)
+ *           "metadata": "strip|keep|icc|no-gps",
+ *           "autoOrient": true,
+ *           "firstFrame": false                   // true: solo el primer fotograma de un GIF o WebP animado
+ *         },
+ *         "recursive": false, "maxDepth": 0+, "symlinks": "skip|files|follow", "cache": false, "force": false
+ *       }
+ *     ]
+ *   }
+ *
+ * Las entradas heredan `defaults` combinando cada operación clave a clave; una operación
+ * a null en la entrada anula la heredada. Las claves desconocidas solo generan avisos
+ */
+export class BatchConfig {
+	static SCHEMA = {
+		type: 'object',
+		keys: {
+			defaults: ENTRY,
+			images: { type: 'array', required: true, items: ENTRY },
+		},
+	}
+
+	static TYPE_NAMES = {
+		string: 'un texto',
+		boolean: 'true o false',
+		integer: 'un número entero',
+		number: 'un número',
+		object: 'un objeto',
+		array: 'una lista',
+	}
+
+	/**
+	 * Lee, valida y normaliza un archivo de configuración. Muestra los avisos con Logger
+	 * @param {string} configPath - Ruta del JSON
+	 * @returns {Object} Configuración con `images` ya combinadas con `defaults`
+	 * @throws {Error} Si el archivo no se puede leer, no es JSON o no cumple el esquema (lista todos los errores)
+	 */
+	static load(configPath) {
+		let content
+		try {
+			content = readFileSync(configPath, 'utf8')
+		} catch (error) {
+			throw new Error(`No se puede leer la configuración ${configPath}: ${error.message}`)
+		}
+
+		let config
+		try {
+			config = JSON.parse(content)
+		} catch (error) {
+			throw new Error(`JSON no válido en ${configPath}: ${error.message}`)
+		}
+
+		const validation = this.validate(config)
+
+		for (const warning of validation.warnings) {
+			Logger.warn(warning)
+		}
+
+		if (!validation.isValid) {
+			const count = validation.errors.length
+			throw new Error(
+				`Configuración no válida (${count} ${count === 1 ? 'error' : 'errores'}) en ${configPath}:\n` +
+					validation.errors.map(error => `  - ${error}`).join('\n'),
+			)
+		}
+
+		return { ...config, images: validation.images }
+	}
+
+	/**
+	 * Valida una configuración ya parseada contra el esquema
+	 * @param {Object} config - Configuración { defaults, images }
+	 * @returns {{isValid: boolean, errors: Array<string>, warnings: Array<string>, images: Array<Object>}}
+	 * Cada error y aviso indica la entrada y la clave (p. ej. images[2].operations.convert.format)
+	 */
+	static validate(config) {
+		const result = { errors: [], warnings: [] }
+
+		this.check(config, this.SCHEMA, '', result, { partial: true })
+
+		if (!Array.isArray(config?.images)) {
+			if (config && typeof config === 'object' && !('images' in config)) {
+				result.errors.push('images: falta la clave obligatoria (lista de entradas)')
+			}
+			return { isValid: false, ...result, images: [] }
+		}
+
+		if (config.images.length === 0) {
+			result.errors.push('images: la lista está vacía, no hay nada que procesar')
+		}
+
+		if (this.isObject(config.defaults) && 'input' in config.defaults) {
+			result.warnings.push('defaults.input: se ignora, cada entrada debe indicar su input')
+		}
+
+		const defaults = this.isObject(config.defaults) ? config.defaults : {}
+		const images = config.images.map((entry, index) => {
+			if (!this.isObject(entry)) return entry
+
+			const merged = this.merge(defaults, entry)
+			const label = `images[${index}]`
+
+			this.check(merged, ENTRY, label, result, { requiredOnly: true })
+			this.checkEntry(merged, label, result)
+
+			return merged
+		})
+
+		// Agrupados por entrada, en el orden del archivo
+		const entryIndex = message => Number(message.match(/^images\[(\d+)\]/)?.[1] ?? -1)
+		result.errors.sort((a, b) => entryIndex(a) - entryIndex(b))
+
+		return { isValid: result.errors.length === 0, ...result, images }
+	}
+
+	/**
+	 * Valida solo un conjunto de operaciones { convert, resize, compress, steps, metadata, autoOrient }
+	 * (p. ej. un preset)
+	 * @param {Object} operations - Operaciones
+	 * @param {string} path - Prefijo de las claves en los mensajes
+	 * @returns {{isValid: boolean, errors: Array<string>, warnings: Array<string>}}
+	 */
+	static validateOperations(operations, path = 'operations') {
+		const result = { errors: [], warnings: [] }
+
+		this.check(operations, OPERATIONS, path, result)
+
+		if (this.isObject(operations)) {
+			this.checkOperations(operations, path, result)
+		}
+
+		return { isValid: result.errors.length === 0, ...result }
+	}
+
+	/**
+	 * Combina `defaults` con una entrada: las operaciones y sus `options` se combinan clave a clave
+	 * @param {Object} defaults - Valores comunes
+	 * @param {Object} entry - Entrada de images
+	 * @returns {Object}
+	 */
+	static merge(defaults, entry) {
+		const { input, ...inherited } = defaults
+		const merged = { ...inherited, ...entry }
+
+		if (this.isObject(defaults.operations) || this.isObject(entry.operations)) {
+			merged.operations = OptimizerFactory.mergeOperations(
+				this.isObject(defaults.operations) ? defaults.operations : {},
+				this.isObject(entry.operations) ? entry.operations : {},
+			)
+		}
+
+		return merged
+	}
+
+	/**
+	 * Recorre un valor comprobando tipos, rangos, opciones y claves desconocidas.
+	 * Con `partial` no se exigen las claves obligatorias (pueden venir de defaults);
+	 * con `requiredOnly` solo se comprueban esas claves
+	 * @private
+	 */
+	static check(value, schema, path, result, mode = {}) {
+		const at = path || '(raíz)'
+
+		if (value === null && schema.nullable) return
+
+		if (!mode.requiredOnly) {
+			const types = [schema.type].flat()
+			if (!types.some(type => this.matchesType(value, type))) {
+				const expected = types.map(type => this.TYPE_NAMES[type]).join(' o ')
+				result.errors.push(`${at}: debe ser ${expected} (recibido: ${JSON.stringify(value)})`)
+				return
+			}
+
+			if (schema.choices && !schema.choices.includes(value)) {
+				result.errors.push(`${at}: "${value}" no es válido. Opciones: ${schema.choices.join(', ')}`)
+				return
+			}
+
+			const below = schema.min !== undefined && value < schema.min
+			const above = schema.max !== undefined && value > schema.max
+			if (below || above) {
+				const range =
+					schema.max === undefined
+						? `mayor o igual que ${schema.min}`
+						: `entre ${schema.min} y ${schema.max}`
+				result.errors.push(`${at}: debe estar ${range} (recibido: ${value})`)
+				return
+			}
+
+			const error = schema.check?.(value)
+			if (error) {
+				result.errors.push(`${at}: ${error}`)
+				return
+			}
+		}
+
+		if (schema.items && Array.isArray(value)) {
+			value.forEach((item, index) => this.check(item, schema.items, `${path}[${index}]`, result, mode))
+		}
+
+		// `keys` puede depender del valor (p. ej. las claves de cada tipo de paso)
+		const keys = typeof schema.keys === 'function' ? schema.keys(value) : schema.keys
+		if (!keys || !this.isObject(value)) return
+
+		for (const [key, child] of Object.entries(value)) {
+			const childPath = path ? `${path}.${key}` : key
+
+			if (keys[key]) {
+				this.check(child, keys[key], childPath, result, mode)
+			} else if (!mode.requiredOnly) {
+				const suggestion = this.suggest(key, Object.keys(keys))
+				result.warnings.push(
+					`${childPath}: clave desconocida, se ignora${suggestion ? ` (¿quisiste decir "${suggestion}"?)` : ''}`,
+				)
+			}
+		}
+
+		if (!mode.partial) {
+			for (const [key, child] of Object.entries(keys)) {
+				if (child.required && value[key] === undefined) {
+					result.errors.push(`${path ? `${path}.` : ''}${key}: falta la clave obligatoria`)
+				}
+			}
+		}
+	}
+
+	/**
+	 * Comprobaciones entre claves de una entrada ya combinada: rutas y operaciones
+	 * @private
+	 */
+	static checkEntry(entry, label, result) {
+		const error = message => result.errors.push(`${label}${message}`)
+		const { input, output, operations = {} } = entry
+
+		if (typeof input === 'string' && input.trim()) {
+			if (!existsSync(input)) {
+				error(`.input: no existe: ${input}`)
+			} else if (!statSync(input).isDirectory()) {
+				const validation = ImageValidator.validate(input)
+				if (!validation.isValid) error(`.input: ${validation.error}`)
+			} else if (typeof output === 'string' && output.trim() && this.isFilePath(output)) {
+				error(`.output: input es un directorio, la salida debe ser un directorio (recibido: ${output})`)
+			}
+
+			if (typeof output === 'string' && resolve(output) === resolve(input)) {
+				error(`.output: coincide con input, se sobrescribiría el origen`)
+			}
+		}
+
+		if (this.isObject(operations)) {
+			this.checkOperations(operations, `${label}.operations`, result)
+		}
+	}
+
+	/**
+	 * Si una salida es un archivo: existe y no es un directorio o, si no existe, tiene extensión
+	 * de imagen (el mismo criterio que FileManager.generateOutputPath)
+	 * @private
+	 */
+	static isFilePath(path) {
+		if (existsSync(path)) return !statSync(path).isDirectory()
+		return ImageValidator.SUPPORTED_FORMATS.has(extname(path).toLowerCase())
+	}
+
+	/**
+	 * Comprobaciones entre claves de las operaciones
+	 * @private
+	 */
+	static checkOperations(operations, path, result) {
+		const error = message => result.errors.push(`${path}${message}`)
+		const { resize, compress } = operations
+
+		if (Array.isArray(operations.steps)) {
+			const order = PipelineSteps.checkOrder(operations.steps)
+			if (order) error(`.steps: ${order}`)
+
+			const legacy = ['convert', 'resize', 'compress'].filter(name => operations[name])
+			if (legacy.length > 0) {
+				error(
+					`.steps: no se puede combinar con ${legacy.join(', ')} (usa solo steps o pon esas operaciones a null)`,
+				)
+			}
+		}
+
+		if (this.isObject(resize) && resize.width == null && resize.height == null) {
+			error('.resize: indica width, height o ambos')
+		}
+
+		if (this.isObject(compress)) {
+			if (compress.maxSize !== undefined && compress.minSsim !== undefined) {
+				error('.compress: maxSize y minSsim no se pueden combinar')
+			}
+			if (compress.minQuality !== undefined && compress.quality !== undefined) {
+				if (compress.minQuality > compress.quality) {
+					error('.compress.minQuality: no puede ser mayor que quality')
+				}
+			}
+		}
+	}
+
+	/**
+	 * Tipo y comprobaciones entre claves de un paso de steps
+	 * @private
+	 */
+	static checkStep(step) {
+		if (step.type === undefined) return 'falta la clave obligatoria type'
+
+		const definition = PipelineSteps.STEPS.get(step.type)
+		if (!definition) {
+			const suggestion = typeof step.type === 'string' && this.suggest(step.type, PipelineSteps.getTypes())
+			return (
+				`tipo de paso desconocido: ${JSON.stringify(step.type)}` +
+				(suggestion ? ` (¿quisiste decir "${suggestion}"?)` : '') +
+				`. Disponibles: ${PipelineSteps.getTypes().join(', ')}`
+			)
+		}
+
+		return definition.check?.(step) ?? null
+	}
+
+	/**
+	 * Valores de los textos: cada uno un texto o un número
+	 * @private
+	 */
+	static checkValues(values) {
+		const invalid = Object.keys(values).filter(key => !['string', 'number'].includes(typeof values[key]))
+		return invalid.length > 0 ? `${invalid.join(', ')}: deben ser textos o números` : null
+	}
+
+	/**
+	 * @private
+	 */
+	static matchesType(value, type) {
+		switch (type) {
+			case 'integer':
+				return Number.isInteger(value)
+			case 'number':
+				return typeof value === 'number' && Number.isFinite(value)
+			case 'object':
+				return this.isObject(value)
+			case 'array':
+				return Array.isArray(value)
+			default:
+				return typeof value === type
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	static isObject(value) {
+		return value !== null && typeof value === 'object' && !Array.isArray(value)
+	}
+
+	/**
+	 * Clave conocida más parecida (distancia de edición ≤ 2) para los avisos
+	 * @private
+	 */
+	static suggest(key, candidates) {
+		let best = null
+		let bestDistance = 3
+
+		for (const candidate of candidates) {
+			const distance = this.distance(key.toLowerCase(), candidate.toLowerCase())
+			if (distance < bestDistance) {
+				best = candidate
+				bestDistance = distance
+			}
+		}
+
+		return best
+	}
+
+	/**
+	 * Distancia de Levenshtein
+	 * @private
+	 */
+	static distance(a, b) {
+		let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+		for (let i = 1; i <= a.length; i++) {
+			const current = [i]
+			for (let j = 1; j <= b.length; j++) {
+				current[j] = Math.min(
+					previous[j] + 1,
+					current[j - 1] + 1,
+					previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+				)
+			}
+			previous = current
+		}
+
+		return previous[b.length]
+	}
+}
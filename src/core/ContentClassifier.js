@@ -0,0 +1,221 @@
+import sharp from 'sharp'
+
+/**
+ * Clasificación del contenido de una imagen para elegir cómo codificarla:
+ *
+ *   photo    fotografía: muchos colores y degradados suaves → codificación con pérdida
+ *   graphic  gráfico o colores planos (capturas de interfaz, logos, ilustraciones) → paleta o sin pérdida
+ *   lineart  dibujo de líneas o texto sobre un fondo, casi sin color → paleta corta o sin pérdida
+ *
+ * Los colores distintos, el fondo (el color dominante, también si es transparente) y el uso del alfa
+ * salen de una muestra de como mucho SAMPLE px de lado (vecino más próximo, para no inventar colores).
+ * Los bordes (pares de píxeles vecinos iguales, con saltos suaves o con saltos bruscos) se miden a
+ * resolución original en una cuadrícula de GRID x GRID recortes de TILE px: en la muestra reducida,
+ * dos vecinos estaban separados varios píxeles y una foto grande parecería llena de bordes. Se miden
+ * en toda la imagen y fuera del fondo, para que una foto de producto sobre blanco o recortada siga
+ * siendo una foto
+ */
+export class ContentClassifier {
+	static TYPES = ['photo', 'graphic', 'lineart']
+	static LABELS = { photo: 'fotografía', graphic: 'gráfico', lineart: 'dibujo de líneas' }
+	static SAMPLE = 256
+	static GRID = 3
+	static TILE = 96
+
+	// Diferencia máxima entre canales de dos vecinos a partir de la cual el salto es un borde
+	static EDGE = 48
+
+	/**
+	 * Analiza y clasifica una imagen
+	 * @param {string|Buffer} input - Ruta o Buffer de la imagen
+	 * @returns {Promise<Object>} { type, colors, dominant, flat, soft, edges, alpha, colorful, subject }
+	 * (proporciones entre 0 y 1: flat, soft y edges de los pares de vecinos; alpha y colorful de los píxeles;
+	 * subject: { flat, soft, edges } de los pares que no son los dos del fondo)
+	 */
+	static async classify(input) {
+		const { width, height } = await sharp(input).metadata()
+		const sample = await this.read(
+			sharp(input).resize({
+				width: this.SAMPLE,
+				height: this.SAMPLE,
+				fit: 'inside',
+				withoutEnlargement: true,
+				kernel: 'nearest',
+			}),
+		)
+		// Si la muestra no se redujo ya está a resolución original
+		const tiles =
+			sample.width === width && sample.height === height
+				? [sample]
+				: await Promise.all(
+						this.getTiles(width, height).map(region => this.read(sharp(input).extract(region))),
+					)
+
+		const stats = this.analyze(sample, tiles)
+		return { type: this.getType(stats), ...stats }
+	}
+
+	/**
+	 * Tipo de contenido según las estadísticas: miles de colores casi sin plano, o fuera del fondo
+	 * muchos colores con poco plano y más saltos suaves que bordes, es una foto; si no, un gráfico,
+	 * y un gráfico con un fondo dominante y casi sin color, un dibujo de líneas
+	 * @param {Object} stats - Estadísticas de analyze()
+	 * @returns {string} photo, graphic o lineart
+	 */
+	static getType({ colors, dominant, flat, colorful, subject }) {
+		// Nunca sin pérdida ni con paleta: ocuparía varias veces más que con pérdida
+		if (colors >= 4096 && flat < 0.05) return 'photo'
+		if (colors > 256 && subject.flat < 0.3 && subject.soft > subject.edges) return 'photo'
+		return dominant >= 0.6 && colorful <= 0.02 ? 'lineart' : 'graphic'
+	}
+
+	/**
+	 * Opciones de codificación para un tipo de contenido y formato. Las opciones indicadas
+	 * en la codificación mandan sobre estas. Con búsqueda de calidad (maxSize o minSsim)
+	 * WebP usa near-lossless y AVIF con pérdida en lugar de lossless, para que la calidad siga contando
+	 * @param {string} type - photo, graphic o lineart
+	 * @param {string} format - Formato de salida
+	 * @param {Object} options - Opciones
+	 * @param {number} options.colors - Colores distintos de la muestra (ajusta la paleta PNG)
+	 * @param {boolean} options.search - Si la codificación busca la calidad
+	 * @returns {Object} Opciones para el paso de codificación
+	 */
+	static getEncoderOptions(type, format, { colors = 256, search = false } = {}) {
+		format = format.toLowerCase()
+
+		if (type === 'photo') {
+			// Con pérdida tal como esté configurado; en PNG, color completo en lugar de paleta
+			return format === 'png' ? { palette: false } : {}
+		}
+
+		// Gráficos: sin enfocar (optimizeSize) ni tramado, que ensucian los colores planos
+		const palette = Math.min(type === 'lineart' ? 16 : 256, 2 ** Math.ceil(Math.log2(Math.max(colors, 2))))
+		const options = {
+			webp: search ? { nearLossless: true } : { lossless: true },
+			avif: search ? {} : { lossless: true },
+			jpeg: { chromaSubsampling: '4:4:4' },
+			jpg: { chromaSubsampling: '4:4:4' },
+			png: { palette: true, colors: palette, dither: 0 },
+		}[format]
+
+		return { ...options, optimizeSize: false }
+	}
+
+	/**
+	 * Descripción de una línea, p. ej. "gráfico (386 colores, 90% plano)"
+	 * @param {Object} content - Resultado de classify()
+	 * @returns {string}
+	 */
+	static describe(content) {
+		const percent = value => `${Math.round(value * 100)}%`
+		const details = [`${content.colors} colores`, `${percent(content.flat)} plano`]
+		if (content.alpha > 0) details.push(`${percent(content.alpha)} transparente`)
+
+		return `${this.LABELS[content.type]} (${details.join(', ')})`
+	}
+
+	/**
+	 * Recortes de TILE px (o menos si la imagen es pequeña) en el centro de cada celda de la cuadrícula
+	 * @private
+	 */
+	static getTiles(width, height) {
+		const tileWidth = Math.max(1, Math.min(this.TILE, Math.floor(width / this.GRID)))
+		const tileHeight = Math.max(1, Math.min(this.TILE, Math.floor(height / this.GRID)))
+		const tiles = []
+
+		for (let row = 0; row < this.GRID; row++) {
+			for (let column = 0; column < this.GRID; column++) {
+				const left = Math.round(((column + 0.5) * width) / this.GRID - tileWidth / 2)
+				const top = Math.round(((row + 0.5) * height) / this.GRID - tileHeight / 2)
+				tiles.push({
+					left: Math.min(Math.max(0, left), width - tileWidth),
+					top: Math.min(Math.max(0, top), height - tileHeight),
+					width: tileWidth,
+					height: tileHeight,
+				})
+			}
+		}
+
+		return tiles
+	}
+
+	/**
+	 * Píxeles RGBA de una pipeline
+	 * @private
+	 */
+	static async read(pipeline) {
+		const { data, info } = await pipeline.ensureAlpha().raw().toBuffer({ resolveWithObject: true })
+		return { data, width: info.width, height: info.height }
+	}
+
+	/**
+	 * Estadísticas de los píxeles RGBA de la muestra (colores, fondo y alfa) y de los recortes (bordes)
+	 * @private
+	 */
+	static analyze(sample, tiles) {
+		const { data } = sample
+		const counts = new Map()
+		let transparent = 0
+		let colorful = 0
+
+		for (let i = 0; i < data.length; i += 4) {
+			const color = data.readUInt32BE(i)
+			counts.set(color, (counts.get(color) ?? 0) + 1)
+
+			if (data[i + 3] < 255) transparent++
+			const chroma =
+				Math.max(data[i], data[i + 1], data[i + 2]) - Math.min(data[i], data[i + 1], data[i + 2])
+			if (data[i + 3] > 0 && chroma > 24) colorful++
+		}
+
+		let background = 0
+		let dominant = 0
+		for (const [color, count] of counts) {
+			if (count > dominant) {
+				background = color
+				dominant = count
+			}
+		}
+
+		// Pares de vecinos [planos, suaves, bordes] de toda la imagen y de fuera del fondo
+		const all = [0, 0, 0]
+		const subject = [0, 0, 0]
+
+		for (const { data, width, height } of tiles) {
+			const compare = (i, j) => {
+				let difference = 0
+				for (let channel = 0; channel < 4; channel++) {
+					difference = Math.max(difference, Math.abs(data[i + channel] - data[j + channel]))
+				}
+
+				const kind = difference === 0 ? 0 : difference > this.EDGE ? 2 : 1
+				all[kind]++
+				if (data.readUInt32BE(i) !== background || data.readUInt32BE(j) !== background) subject[kind]++
+			}
+
+			for (let y = 0; y < height; y++) {
+				for (let x = 0; x < width; x++) {
+					const i = (y * width + x) * 4
+					if (x + 1 < width) compare(i, i + 4)
+					if (y + 1 < height) compare(i, i + width * 4)
+				}
+			}
+		}
+
+		const pixels = sample.width * sample.height
+		const ratio = (value, total) => (total > 0 ? Number((value / total).toFixed(4)) : 0)
+		const split = ([flat, soft, edges]) => {
+			const pairs = flat + soft + edges
+			return { flat: ratio(flat, pairs), soft: ratio(soft, pairs), edges: ratio(edges, pairs) }
+		}
+
+		return {
+			colors: counts.size,
+			dominant: ratio(dominant, pixels),
+			...split(all),
+			alpha: ratio(transparent, pixels),
+			colorful: ratio(colorful, pixels),
+			subject: split(subject),
+		}
+	}
+}
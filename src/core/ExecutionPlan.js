@@ -0,0 +1,279 @@
+import sharp from 'sharp'
+import { existsSync } from 'fs'
+import { resolve } from 'path'
+import { ImageText } from '../operations/ImageText.js'
+import { AutoFormat } from './AutoFormat.js'
+import { ImageValidator } from './ImageValidator.js'
+import { FocalPoint } from './FocalPoint.js'
+import { ImagePipeline } from './ImagePipeline.js'
+import { MetadataPolicy } from './MetadataPolicy.js'
+import { PipelineSteps } from './PipelineSteps.js'
+import { FileManager } from '../utils/fileManager.js'
+import { Logger } from '../utils/Logger.js'
+import { PathUtils } from '../utils/PathUtils.js'
+import { WorkerPool } from '../utils/WorkerPool.js'
+
+/**
+ * Plan de ejecución para --dry-run: resuelve entradas y rutas de salida igual que el
+ * procesamiento real, pero sin escribir ni crear nada. Se imprime como tabla Markdown
+ * para poder pegarla tal cual en una revisión de código
+ */
+export class ExecutionPlan {
+	constructor() {
+		this.fileManager = new FileManager()
+		this.entries = []
+		this.errors = []
+	}
+
+	/**
+	 * Añade una salida prevista
+	 * @param {Object} entry - Entrada del plan
+	 * @param {string} entry.source - Archivo de origen
+	 * @param {string|null} entry.destination - Archivo que se escribiría
+	 * @param {string} entry.operations - Descripción de las operaciones
+	 * @param {string|null} entry.error - Fallo de validación (no se procesaría)
+	 * @param {boolean} entry.cached - Omitida por la caché incremental
+	 * @param {boolean} entry.decode - Comprobar que el origen se puede decodificar (por defecto sí)
+	 */
+	add({ source, destination = null, operations = '', error = null, cached = false, decode = true }) {
+		this.entries.push({ source, destination, operations, error, cached, decode, status: null })
+	}
+
+	/**
+	 * Añade un problema que afecta a todo el comando (p. ej. parámetros no válidos)
+	 * @param {string} message - Descripción del problema
+	 */
+	fail(message) {
+		this.errors.push(message)
+	}
+
+	/**
+	 * Resuelve una entrada (archivo o directorio) con FileManager y añade sus salidas
+	 * @param {string} input - Archivo o directorio de entrada
+	 * @param {string} output - Archivo o directorio de salida
+	 * @param {Object} options - Opciones
+	 * @param {string} options.operation - Operación para el sufijo de salida (convert, resize, compress, optimize)
+	 * @param {Object} options.operations - Operaciones { convert, resize, compress } o { steps }
+	 * (con `focusMap` y `values`, cada imagen se describe con su encuadre y sus textos)
+	 * @param {Object} options.pathOptions - Opciones para FileManager.generateOutputPath
+	 * @param {Object} options.scanOptions - Opciones de búsqueda en directorios
+	 * @param {Object} options.cache - Caché incremental { cache: BuildCache, fingerprint } (solo directorios)
+	 * @returns {Promise<void>}
+	 */
+	async addInput(input, output, options = {}) {
+		const { operation, operations = {}, pathOptions = {}, scanOptions = {}, cache = null } = options
+		const describe = path =>
+			ExecutionPlan.describeOperations(ImageText.forImage(FocalPoint.forImage(operations, path), path))
+		const description = describe(input)
+
+		// Con format auto la extensión depende del formato que resulte menor: se muestra como .*
+		const auto = AutoFormat.isAuto(ImagePipeline.getFormat(operations))
+		const shown = destination => (auto ? PathUtils.changeExtension(destination, '*') : destination)
+
+		if (!(await this.fileManager.isDirectory(input))) {
+			const validation = ImageValidator.validate(input)
+			this.add({
+				source: input,
+				destination: shown(output),
+				operations: description,
+				error: validation.error,
+			})
+			return
+		}
+
+		const images = await this.fileManager.getImagesFromDirectory(input, {
+			...scanOptions,
+			onInvalid: (path, error) => this.add({ source: path, operations: description, error }),
+		})
+
+		if (images.length === 0) {
+			this.fail(`No se encontraron imágenes en: ${input}`)
+		}
+
+		for (const image of images) {
+			try {
+				const destination = await this.fileManager.generateOutputPath(image.path, output, operation, {
+					...pathOptions,
+					relativeDir: image.relativeDir,
+					dryRun: true,
+				})
+				const cached = cache
+					? (await cache.cache.check(image.path, destination, cache.fingerprint)).fresh
+					: false
+
+				this.add({
+					source: image.path,
+					destination: shown(destination),
+					operations: describe(image.path),
+					cached,
+				})
+			} catch (error) {
+				this.add({ source: image.path, operations: describe(image.path), error: error.message })
+			}
+		}
+	}
+
+	/**
+	 * Comprueba que los orígenes se pueden decodificar y detecta sobrescrituras:
+	 * salidas que ya existen, que pisan su propio origen o que coinciden con otra salida del plan
+	 * @returns {Promise<void>}
+	 */
+	async verify() {
+		await WorkerPool.map(
+			this.entries.filter(entry => !entry.error && entry.decode),
+			async entry => {
+				try {
+					await sharp(entry.source).metadata()
+				} catch (error) {
+					entry.error = `No se puede leer la imagen: ${error.message}`
+				}
+			},
+		)
+
+		const destinations = new Map()
+
+		this.entries.forEach((entry, index) => {
+			if (entry.error) {
+				entry.status = 'error'
+				return
+			}
+
+			const target = resolve(entry.destination)
+
+			if (target === resolve(entry.source)) {
+				entry.status = 'sobrescribe el origen'
+			} else if (destinations.has(target)) {
+				entry.status = `colisión con #${destinations.get(target) + 1}`
+			} else if (entry.cached) {
+				entry.status = 'sin cambios'
+			} else if (existsSync(target)) {
+				entry.status = 'sobrescribe'
+			} else {
+				entry.status = 'nuevo'
+			}
+
+			if (!destinations.has(target)) {
+				destinations.set(target, index)
+			}
+		})
+	}
+
+	/**
+	 * Indica si el plan contiene fallos de validación
+	 * @returns {boolean}
+	 */
+	hasErrors() {
+		return this.errors.length > 0 || this.entries.some(entry => entry.error)
+	}
+
+	/**
+	 * Cuenta las entradas por estado
+	 * @returns {Object} { total, new, overwrite, unchanged, errors }
+	 */
+	getSummary() {
+		const count = predicate => this.entries.filter(predicate).length
+
+		return {
+			total: this.entries.length,
+			new: count(entry => entry.status === 'nuevo'),
+			overwrite: count(
+				entry => entry.status?.startsWith('sobrescribe') || entry.status?.startsWith('colisión'),
+			),
+			unchanged: count(entry => entry.status === 'sin cambios'),
+			errors: count(entry => entry.error),
+		}
+	}
+
+	/**
+	 * Genera la tabla Markdown del plan
+	 * @returns {string}
+	 */
+	toMarkdown() {
+		const cell = value => String(value ?? '—').replace(/\|/g, '\\|')
+		const rows = this.entries.map((entry, index) => [
+			index + 1,
+			entry.source,
+			entry.destination ?? '—',
+			entry.operations || '—',
+			entry.error ? `✗ ${entry.error}` : entry.status,
+		])
+
+		return [
+			'| # | Origen | Destino | Operaciones | Estado |',
+			'|---|--------|---------|-------------|--------|',
+			...rows.map(row => `| ${row.map(cell).join(' | ')} |`),
+		].join('\n')
+	}
+
+	/**
+	 * Muestra el plan y su resumen sin colores, listo para copiar
+	 */
+	print() {
+		if (this.entries.length > 0) {
+			Logger.write(this.toMarkdown())
+		}
+
+		for (const message of this.errors) {
+			Logger.error(message)
+		}
+
+		const summary = this.getSummary()
+		Logger.write('')
+		Logger.info(
+			`${summary.total} salidas: ${summary.new} nuevas, ${summary.overwrite} sobrescrituras, ` +
+				`${summary.unchanged} sin cambios, ${summary.errors} con errores`,
+		)
+		Logger.warn('Simulación (--dry-run): no se ha escrito nada')
+	}
+
+	/**
+	 * Describe las operaciones { steps } o { convert, resize, compress }, más metadata, autoOrient y firstFrame,
+	 * en una línea
+	 * @param {Object} operations - Operaciones
+	 * @returns {string}
+	 */
+	static describeOperations(operations = {}) {
+		const parts = []
+
+		if (Array.isArray(operations.steps)) {
+			parts.push(...operations.steps.map(step => PipelineSteps.describe(step)))
+		}
+
+		if (operations.resize) {
+			const { width, height, options = {} } = operations.resize
+			parts.push(PipelineSteps.describe({ type: 'resize', width, height, ...options }))
+		}
+
+		if (operations.compress) {
+			const { format, quality, maxSize, minSsim, ...options } =
+				ImagePipeline.getCompressOptions(operations)
+			let description = `compress ${AutoFormat.describe(format, options)}`
+			if (quality) description += ` q${quality}`
+			if (maxSize) description += ` ≤ ${Logger.formatBytes(maxSize)}`
+			if (minSsim) description += ` SSIM ≥ ${minSsim}`
+			if (options.content) description += ` contenido ${options.content}`
+			parts.push(description)
+		} else if (operations.convert) {
+			const { quality, ...options } = operations.convert.options ?? {}
+			parts.push(
+				`convert ${AutoFormat.describe(operations.convert.format, options)}${quality ? ` q${quality}` : ''}` +
+					(options.content ? ` contenido ${options.content}` : ''),
+			)
+		}
+
+		const metadata = operations.metadata ?? operations.compress?.metadata
+		if (metadata) {
+			parts.push(`metadata ${MetadataPolicy.normalize(metadata)}`)
+		}
+
+		if (operations.autoOrient === false) {
+			parts.push('sin auto-orientación')
+		}
+
+		if (operations.firstFrame) {
+			parts.push('primer fotograma')
+		}
+
+		return parts.join(' → ')
+	}
+}
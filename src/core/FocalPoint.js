@@ -0,0 +1,154 @@
+import sharp from 'sharp'
+import { readFileSync } from 'fs'
+import { basename, dirname, resolve, sep } from 'path'
+
+/**
+ * Encuadre de los recortes de `cover`: una posición de sharp (gravedad como north o southeast,
+ * o estrategia attention/entropy) o un punto focal { x, y } relativo (0-1) a la imagen que
+ * llega al redimensionado. Con punto focal se recorta primero la zona con la proporción del
+ * destino lo más centrada posible en el foco y después se redimensiona
+ */
+export class FocalPoint {
+	static POSITIONS = [
+		...Object.keys(sharp.gravity),
+		...Object.keys(sharp.position),
+		...Object.keys(sharp.strategy),
+	]
+
+	/**
+	 * Convierte un punto focal ("0.3,0.4" o { x, y }) en { x, y }
+	 * @param {string|Object} value - Punto focal
+	 * @returns {{x: number, y: number}}
+	 * @throws {Error} Si no son dos números entre 0 y 1
+	 */
+	static parse(value) {
+		const [x, y] =
+			typeof value === 'string' ? value.split(',').map(part => Number(part.trim())) : [value?.x, value?.y]
+
+		const valid = [x, y].every(n => typeof n === 'number' && n >= 0 && n <= 1)
+		if (!valid || (typeof value === 'string' && value.split(',').length !== 2)) {
+			throw new Error(
+				`Punto focal no válido: ${JSON.stringify(value)}. Usa x,y entre 0 y 1 (p. ej. 0.3,0.4)`,
+			)
+		}
+
+		return { x, y }
+	}
+
+	/**
+	 * Convierte un valor del mapa de encuadres (posición o punto focal) en opciones de resize
+	 * @param {string|Object} value - "attention", "north", "0.3,0.4" o { x, y }
+	 * @returns {{position?: string, focus: {x: number, y: number}|null}}
+	 */
+	static parseTarget(value) {
+		if (typeof value === 'string' && this.POSITIONS.includes(value)) {
+			return { position: value, focus: null }
+		}
+
+		return { focus: this.parse(value) }
+	}
+
+	/**
+	 * Lee un mapa de encuadres: { "ruta/imagen.jpg": "0.3,0.4" | { x, y } | "attention" }.
+	 * Las rutas son relativas al JSON; una clave sin directorio vale para cualquier imagen con ese nombre
+	 * @param {string} path - Ruta del JSON
+	 * @returns {Object} { rutaAbsoluta | nombre: { position?, focus } }
+	 * @throws {Error} Si no se puede leer o algún valor no es válido
+	 */
+	static loadMap(path) {
+		let content
+		try {
+			content = JSON.parse(readFileSync(path, 'utf8'))
+		} catch (error) {
+			throw new Error(`No se puede leer el mapa de encuadres ${path}: ${error.message}`)
+		}
+
+		if (content === null || typeof content !== 'object' || Array.isArray(content)) {
+			throw new Error(`${path}: debe ser un objeto { "imagen": "x,y" | posición }`)
+		}
+
+		const map = {}
+		for (const [key, value] of Object.entries(content)) {
+			const bare = !key.includes('/') && !key.includes(sep)
+
+			try {
+				map[bare ? key : resolve(dirname(path), key)] = this.parseTarget(value)
+			} catch (error) {
+				throw new Error(`${path}: ${key}: ${error.message}`)
+			}
+		}
+
+		return map
+	}
+
+	/**
+	 * Encuadre de una imagen en un mapa (por ruta y, si no, por nombre)
+	 * @param {Object} map - Resultado de loadMap()
+	 * @param {string} inputPath - Ruta de la imagen
+	 * @returns {Object|null} { position?, focus } o null si no aparece
+	 */
+	static lookup(map, inputPath) {
+		if (!map) return null
+		return map[resolve(inputPath)] ?? map[basename(inputPath)] ?? null
+	}
+
+	/**
+	 * Aplica a unas operaciones el encuadre de una imagen en su mapa (`focusMap`), si aparece
+	 * @param {Object} operations - Operaciones con `focusMap` (resultado de loadMap())
+	 * @param {string|Buffer} input - Ruta de la imagen (Buffers y streams no tienen encuadre propio)
+	 * @returns {Object} Operaciones para esa imagen
+	 */
+	static forImage(operations, input) {
+		const target = typeof input === 'string' ? this.lookup(operations.focusMap, input) : null
+		return target ? this.apply(operations, target) : operations
+	}
+
+	/**
+	 * Aplica un encuadre a todos los redimensionados de unas operaciones (resize o pasos resize)
+	 * @param {Object} operations - Operaciones
+	 * @param {Object} target - { position, focus } (las claves undefined no cambian nada)
+	 * @returns {Object} Operaciones nuevas
+	 */
+	static apply(operations, target) {
+		const framing = Object.fromEntries(Object.entries(target).filter(([, value]) => value !== undefined))
+
+		if (Array.isArray(operations.steps)) {
+			return {
+				...operations,
+				steps: operations.steps.map(step => (step.type === 'resize' ? { ...step, ...framing } : step)),
+			}
+		}
+
+		if (operations.resize) {
+			const { options } = operations.resize
+			return { ...operations, resize: { ...operations.resize, options: { ...options, ...framing } } }
+		}
+
+		return operations
+	}
+
+	/**
+	 * Zona a recortar antes de redimensionar con `cover` para que el foco quede dentro del encuadre
+	 * @param {{width: number, height: number}} size - Dimensiones de la imagen que se redimensiona
+	 * @param {number} width - Ancho destino
+	 * @param {number} height - Alto destino
+	 * @param {{x: number, y: number}} focus - Punto focal relativo
+	 * @returns {{left: number, top: number, width: number, height: number}|null} null si no hay que recortar
+	 */
+	static getCrop(size, width, height, focus) {
+		const ratio = width / height
+		const cropWidth = Math.min(size.width, Math.round(size.height * ratio))
+		const cropHeight = Math.min(size.height, Math.round(size.width / ratio))
+
+		if (cropWidth === size.width && cropHeight === size.height) return null
+
+		const clamp = (value, max) => Math.min(Math.max(value, 0), max)
+
+		return {
+			left: clamp(Math.round(focus.x * size.width - cropWidth / 2), size.width - cropWidth),
+			top: clamp(Math.round(focus.y * size.height - cropHeight / 2), size.height - cropHeight),
+			width: cropWidth,
+			height: cropHeight,
+		}
+	}
+}
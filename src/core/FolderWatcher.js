@@ -0,0 +1,231 @@
+import { watch } from 'fs'
+import { stat, unlink } from 'fs/promises'
+import { join, relative, resolve, dirname, sep } from 'path'
+import { EventEmitter } from 'events'
+import { ImagePipeline } from './ImagePipeline.js'
+import { ImageValidator } from './ImageValidator.js'
+import { OptimizerFactory } from './OptimizerFactory.js'
+import { FileManager } from '../utils/fileManager.js'
+import { Logger } from '../utils/Logger.js'
+import { WorkerPool } from '../utils/WorkerPool.js'
+
+/**
+ * Vigila un directorio y optimiza las imágenes nuevas o modificadas
+ * Observer Pattern: emite processed, removed, file-error y error (fallo del propio vigilante)
+ */
+export class FolderWatcher extends EventEmitter {
+	/**
+	 * @param {string} inputDir - Directorio a vigilar
+	 * @param {string} outputDir - Directorio de salida
+	 * @param {Object} options - Opciones
+	 * @param {string} options.preset - Preset de OptimizerFactory
+	 * @param {Object} options.operations - Operaciones adicionales sobre el preset
+	 * @param {number} options.debounce - Milisegundos sin cambios antes de procesar un archivo
+	 * @param {boolean} options.recursive - Vigilar también subdirectorios
+	 */
+	constructor(inputDir, outputDir, options = {}) {
+		super()
+		this.inputDir = resolve(inputDir)
+		this.outputDir = resolve(outputDir)
+		this.options = { preset: 'web', operations: {}, debounce: 500, recursive: false, ...options }
+		this.optimizer = OptimizerFactory.createOptimizer(this.options.preset)
+		this.fileManager = new FileManager()
+
+		// Estado por ruta relativa al directorio vigilado
+		this.timers = new Map()
+		this.pending = new Map() // tamaño:fecha visto en la última revisión
+		this.processed = new Map() // tamaño:fecha de la última versión optimizada
+		this.outputs = new Map() // ruta de salida generada
+		this.running = new Map() // tarea en curso
+		this.watcher = null
+	}
+
+	/**
+	 * Procesa las imágenes existentes y empieza a vigilar cambios
+	 * @returns {Promise<void>}
+	 */
+	async start() {
+		await this.fileManager.ensureDirectoryExists(this.outputDir)
+
+		const images = await this.fileManager.getImagesFromDirectory(this.inputDir, {
+			recursive: this.options.recursive,
+			maxDepth: this.options.maxDepth,
+			symlinks: this.options.symlinks,
+		})
+
+		Logger.info(`Procesando ${images.length} imágenes existentes`)
+		await WorkerPool.map(
+			images.filter(image => !this.isInOutput(image.path)),
+			image => this.process(image.relativePath),
+		)
+
+		this.watcher = watch(this.inputDir, { recursive: this.options.recursive }, (event, filename) => {
+			if (filename) this.schedule(filename.toString())
+		})
+		this.watcher.on('error', error => this.emit('error', error))
+
+		Logger.success(`Vigilando ${this.inputDir} (Ctrl+C para salir)`)
+	}
+
+	/**
+	 * Deja de vigilar y espera a que terminen los archivos en proceso
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		if (this.watcher) {
+			this.watcher.close()
+			this.watcher = null
+		}
+
+		for (const timer of this.timers.values()) {
+			clearTimeout(timer)
+		}
+		this.timers.clear()
+
+		await Promise.allSettled(this.running.values())
+	}
+
+	/**
+	 * Programa la revisión de un archivo tras el periodo de espera
+	 * @private
+	 */
+	schedule(relativePath) {
+		if (!this.watcher || this.isInOutput(join(this.inputDir, relativePath))) return
+
+		clearTimeout(this.timers.get(relativePath))
+		this.timers.set(
+			relativePath,
+			setTimeout(() => {
+				this.check(relativePath).catch(error => Logger.error(`${relativePath}: ${error.message}`))
+			}, this.options.debounce),
+		)
+	}
+
+	/**
+	 * Comprueba si el archivo se ha borrado o si ya terminó de escribirse
+	 * @private
+	 */
+	async check(relativePath) {
+		this.timers.delete(relativePath)
+
+		let stats
+		try {
+			stats = await stat(join(this.inputDir, relativePath))
+		} catch (error) {
+			if (error.code !== 'ENOENT') throw error
+			this.pending.delete(relativePath)
+			return this.remove(relativePath)
+		}
+
+		if (!stats.isFile()) return
+
+		// Un archivo a medio escribir sigue cambiando: procesar solo cuando tamaño y fecha
+		// se mantienen iguales durante un periodo de espera completo
+		const signature = this.getSignature(stats)
+		if (this.pending.get(relativePath) !== signature) {
+			this.pending.set(relativePath, signature)
+			return this.schedule(relativePath)
+		}
+
+		this.pending.delete(relativePath)
+
+		if (this.processed.get(relativePath) !== signature) {
+			await WorkerPool.run(() => this.process(relativePath))
+		}
+	}
+
+	/**
+	 * Optimiza un archivo del directorio vigilado. No ocupa un hueco del pool: quien lo llama
+	 * lo ejecuta dentro de WorkerPool.map o WorkerPool.run
+	 * @private
+	 */
+	async process(relativePath) {
+		const sourcePath = join(this.inputDir, relativePath)
+
+		if (!ImageValidator.validate(sourcePath).isValid) return
+
+		// Si ya se está procesando, esperar a que termine antes de procesar la versión nueva
+		if (this.running.has(relativePath)) {
+			await this.running.get(relativePath)
+		}
+
+		const task = (async () => {
+			try {
+				const signature = this.getSignature(await stat(sourcePath))
+				const outputPath = await this.fileManager.generateOutputPath(
+					sourcePath,
+					this.outputDir,
+					'optimize',
+					{ format: this.getOutputFormat(), relativeDir: dirname(relativePath) },
+				)
+
+				const result = await this.optimizer.optimize(sourcePath, outputPath, this.options.operations)
+				// Con format auto la extensión es la del formato elegido
+				const written = result?.output ?? outputPath
+				this.outputs.set(relativePath, written)
+				this.processed.set(relativePath, signature)
+
+				Logger.success(`${relativePath} → ${relative(this.outputDir, written)}`)
+				this.emit('processed', { input: sourcePath, output: written, result })
+			} catch (error) {
+				Logger.error(`${relativePath}: ${error.message}`)
+				this.emit('file-error', { input: sourcePath, error })
+			}
+		})()
+
+		this.running.set(relativePath, task)
+		await task
+		if (this.running.get(relativePath) === task) {
+			this.running.delete(relativePath)
+		}
+	}
+
+	/**
+	 * Borra la salida de un archivo eliminado del directorio vigilado
+	 * @private
+	 */
+	async remove(relativePath) {
+		// Si se borró un directorio, eliminar también las salidas de su contenido
+		const removed = [...this.outputs.keys()].filter(
+			path => path === relativePath || path.startsWith(relativePath + sep),
+		)
+
+		for (const path of removed) {
+			const outputPath = this.outputs.get(path)
+			this.outputs.delete(path)
+			this.processed.delete(path)
+
+			try {
+				await unlink(outputPath)
+				Logger.warn(`Eliminado ${relative(this.outputDir, outputPath)} (origen borrado)`)
+				this.emit('removed', { input: join(this.inputDir, path), output: outputPath })
+			} catch (error) {
+				if (error.code !== 'ENOENT') {
+					Logger.error(`No se pudo eliminar ${outputPath}: ${error.message}`)
+				}
+			}
+		}
+	}
+
+	/**
+	 * Formato de salida del preset
+	 * @returns {string}
+	 */
+	getOutputFormat() {
+		return ImagePipeline.getFormat(this.optimizer.config) || 'webp'
+	}
+
+	/**
+	 * @private
+	 */
+	getSignature(stats) {
+		return `${stats.size}:${stats.mtimeMs}`
+	}
+
+	/**
+	 * @private
+	 */
+	isInOutput(path) {
+		return (resolve(path) + sep).startsWith(this.outputDir + sep)
+	}
+}
@@ -0,0 +1,223 @@
+import sharp from 'sharp'
+import chalk from 'chalk'
+import { stat } from 'fs/promises'
+import { ContentClassifier } from './ContentClassifier.js'
+import { Orientation } from './Orientation.js'
+import { Logger } from '../utils/Logger.js'
+
+/**
+ * Inspección de imágenes sin modificarlas: dimensiones reales, formato, espacio de color,
+ * profundidad, alfa, orientación EXIF, perfil ICC, fotogramas, tipo de contenido y estadísticas por canal
+ */
+export class ImageInspector {
+	/**
+	 * Bits por muestra según el tipo de píxel de libvips
+	 */
+	static DEPTH_BITS = {
+		uchar: 8,
+		char: 8,
+		ushort: 16,
+		short: 16,
+		uint: 32,
+		int: 32,
+		float: 32,
+		complex: 64,
+		double: 64,
+		dpcomplex: 128,
+	}
+
+	/**
+	 * Nombres de los canales por espacio de color (el alfa se añade al final)
+	 */
+	static CHANNEL_NAMES = {
+		'b-w': ['gris'],
+		grey16: ['gris'],
+		srgb: ['R', 'G', 'B'],
+		rgb: ['R', 'G', 'B'],
+		rgb16: ['R', 'G', 'B'],
+		scrgb: ['R', 'G', 'B'],
+		cmyk: ['C', 'M', 'Y', 'K'],
+		lab: ['L', 'a', 'b'],
+	}
+
+	/**
+	 * Lee la información de una imagen
+	 * @param {string} filePath - Ruta de la imagen
+	 * @returns {Promise<Object>} { path, size, format, width, height, displayWidth, displayHeight,
+	 * colorSpace, channels, bitDepth, hasAlpha, orientation, icc, frames, loop, delay, density,
+	 * progressive, chromaSubsampling, content, stats } (content: ver ContentClassifier.classify)
+	 */
+	static async inspect(filePath) {
+		const [stats, metadata, channelStats, content] = await Promise.all([
+			stat(filePath),
+			sharp(filePath).metadata(),
+			sharp(filePath).stats(),
+			ContentClassifier.classify(filePath),
+		])
+
+		const frames = metadata.pages || 1
+		const height = frames > 1 && metadata.pageHeight ? metadata.pageHeight : metadata.height
+		const display = Orientation.orient({ width: metadata.width, height, orientation: metadata.orientation })
+		const names = [...(this.CHANNEL_NAMES[metadata.space] || [])]
+		if (metadata.hasAlpha) names.push('alfa')
+
+		return {
+			path: filePath,
+			size: stats.size,
+			format: metadata.format,
+			width: metadata.width,
+			height,
+			displayWidth: display.width,
+			displayHeight: display.height,
+			colorSpace: metadata.space,
+			channels: metadata.channels,
+			bitDepth: metadata.bitsPerSample ?? this.DEPTH_BITS[metadata.depth] ?? null,
+			hasAlpha: metadata.hasAlpha,
+			orientation: metadata.orientation ?? null,
+			icc: metadata.icc ? this.describeIcc(metadata.icc) : null,
+			frames,
+			loop: metadata.loop ?? null,
+			delay: metadata.delay ?? null,
+			density: metadata.density ?? null,
+			progressive: metadata.isProgressive ?? false,
+			chromaSubsampling: metadata.chromaSubsampling ?? null,
+			content,
+			stats: {
+				opaque: channelStats.isOpaque,
+				entropy: channelStats.entropy,
+				sharpness: channelStats.sharpness,
+				dominant: channelStats.dominant,
+				channels: channelStats.channels.map((channel, index) => ({
+					name: names[index] || String(index + 1),
+					min: channel.min,
+					max: channel.max,
+					mean: channel.mean,
+					stdev: channel.stdev,
+				})),
+			},
+		}
+	}
+
+	/**
+	 * Muestra la información como tabla legible
+	 * @param {Object} info - Resultado de inspect()
+	 */
+	static print(info) {
+		const yesNo = value => (value ? 'sí' : 'no')
+		const rows = [
+			['Formato', info.format?.toUpperCase()],
+			['Tamaño', Logger.formatBytes(info.size)],
+			['Dimensiones', `${info.width}×${info.height}px`],
+			[
+				'Al mostrarse',
+				info.displayWidth !== info.width ? `${info.displayWidth}×${info.displayHeight}px (girada)` : null,
+			],
+			['Espacio de color', info.colorSpace],
+			['Canales', info.channels],
+			['Profundidad', info.bitDepth ? `${info.bitDepth} bits por canal` : null],
+			['Alfa', yesNo(info.hasAlpha)],
+			['Orientación EXIF', info.orientation],
+			['Perfil ICC', info.icc ? `${info.icc.description || 'sin nombre'} (${info.icc.colorSpace})` : 'no'],
+			['Fotogramas', info.frames],
+			['Bucles', info.frames > 1 && info.loop !== null ? info.loop || 'infinitos' : null],
+			['Densidad', info.density ? `${info.density} ppp` : null],
+			['Progresiva', info.progressive ? 'sí' : null],
+			['Submuestreo', info.chromaSubsampling],
+			['Contenido', ContentClassifier.describe(info.content)],
+			['Opaca', yesNo(info.stats.opaque)],
+			['Entropía', info.stats.entropy.toFixed(3)],
+			['Nitidez', info.stats.sharpness.toFixed(3)],
+			['Color dominante', this.toHex(info.stats.dominant)],
+		].filter(([, value]) => value !== null && value !== undefined)
+
+		const width = Math.max(...rows.map(([label]) => label.length))
+
+		Logger.write(chalk.bold(info.path))
+		for (const [label, value] of rows) {
+			Logger.write(`  ${chalk.gray(label.padEnd(width))}  ${value}`)
+		}
+
+		const columns = ['Canal', 'Mín', 'Máx', 'Media', 'Desv.']
+		const table = info.stats.channels.map(channel => [
+			channel.name,
+			channel.min,
+			channel.max,
+			channel.mean.toFixed(1),
+			channel.stdev.toFixed(1),
+		])
+		const sizes = columns.map((column, index) =>
+			Math.max(column.length, ...table.map(row => String(row[index]).length)),
+		)
+		const line = row => '  ' + row.map((cell, index) => String(cell).padStart(sizes[index])).join('  ')
+
+		Logger.write('')
+		Logger.write(chalk.gray(line(columns)))
+		for (const row of table) {
+			Logger.write(line(row))
+		}
+	}
+
+	/**
+	 * Nombre y espacio de color de un perfil ICC (etiqueta desc en v2, mluc en v4)
+	 * @param {Buffer} icc - Perfil ICC embebido
+	 * @returns {{description: string|null, colorSpace: string, version: string}}
+	 */
+	static describeIcc(icc) {
+		const result = {
+			description: null,
+			colorSpace: icc.length >= 20 ? icc.toString('latin1', 16, 20).trim() : '?',
+			version: icc.length >= 10 ? `${icc[8]}.${icc[9] >> 4}` : '?',
+		}
+
+		if (icc.length < 132) return result
+
+		const count = icc.readUInt32BE(128)
+		for (let i = 0; i < count; i++) {
+			const entry = 132 + i * 12
+			if (entry + 12 > icc.length) break
+			if (icc.toString('latin1', entry, entry + 4) !== 'desc') continue
+
+			const offset = icc.readUInt32BE(entry + 4)
+			const size = icc.readUInt32BE(entry + 8)
+			if (offset + size > icc.length || size < 12) break
+
+			result.description = this.readIccText(icc.subarray(offset, offset + size))
+			break
+		}
+
+		return result
+	}
+
+	/**
+	 * @private
+	 */
+	static readIccText(tag) {
+		const type = tag.toString('latin1', 0, 4)
+
+		if (type === 'desc') {
+			const length = tag.readUInt32BE(8)
+			return tag.toString('latin1', 12, Math.min(12 + length, tag.length)).replace(/\0+$/, '') || null
+		}
+
+		if (type === 'mluc' && tag.length >= 28) {
+			const length = tag.readUInt32BE(20) & ~1
+			const offset = tag.readUInt32BE(24)
+			if (offset + length > tag.length) return null
+
+			// UTF-16 big endian
+			const text = Buffer.from(tag.subarray(offset, offset + length))
+				.swap16()
+				.toString('utf16le')
+			return text.replace(/\0+$/, '') || null
+		}
+
+		return null
+	}
+
+	/**
+	 * @private
+	 */
+	static toHex({ r, g, b }) {
+		return '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')
+	}
+}
@@ -0,0 +1,520 @@
+import sharp from 'sharp'
+import { ImageCompressor } from '../operations/ImageCompressor.js'
+import { Ssim } from '../utils/Ssim.js'
+import { Animation } from './Animation.js'
+import { AutoFormat } from './AutoFormat.js'
+import { ContentClassifier } from './ContentClassifier.js'
+import { MetadataPolicy } from './MetadataPolicy.js'
+import { Orientation } from './Orientation.js'
+import { PipelineSteps } from './PipelineSteps.js'
+
+/**
+ * Compone los pasos de una pipeline (ver PipelineSteps) en sharp: se decodifica una vez,
+ * se transforma y se codifica una sola vez. Las operaciones clásicas { convert, resize, compress }
+ * equivalen a los pasos resize → compress (o convert)
+ */
+export class ImagePipeline {
+	/**
+	 * Crea la pipeline con todas las operaciones. Los pasos deben caber en una sola pipeline
+	 * de sharp: render() y toFile() ejecutan antes los tramos que no caben (ver prepare())
+	 * @param {string|Buffer} input - Ruta o Buffer de la imagen
+	 * @param {Object} operations - Operaciones { steps } o { convert, resize, compress }, más metadata y
+	 * autoOrient (metadata: política de MetadataPolicy o su resultado de resolve(), también se acepta
+	 * compress.metadata; autoOrient: false para no girar según la orientación EXIF). Con `animated`
+	 * se leen todos los fotogramas (lo decide render() o toFile(), ver Animation)
+	 * @returns {{pipeline: sharp.Sharp, format: string|null, steps: Array<string>}}
+	 */
+	static create(input, operations = {}) {
+		const image = sharp(input, Animation.getInputOptions(operations.animated))
+		let pipeline = Orientation.apply(
+			MetadataPolicy.apply(image, this.getMetadataPolicy(operations)),
+			operations.autoOrient,
+		)
+		const steps = this.getSteps(operations)
+		let format = null
+
+		for (const step of steps) {
+			const definition = PipelineSteps.get(step.type)
+			pipeline = definition.apply(pipeline, step)
+			if (definition.encode) format = definition.format(step)
+		}
+
+		return { pipeline, format, steps: steps.map(step => step.type) }
+	}
+
+	/**
+	 * Ejecuta los tramos de pasos que sharp no puede combinar con los siguientes
+	 * (ver PipelineSteps.segment) y devuelve la entrada y las operaciones restantes.
+	 * Los resultados intermedios se guardan sin pérdida y con todos los metadatos:
+	 * la política de metadatos se aplica solo al codificar
+	 * @param {string|Buffer} input - Ruta o Buffer de la imagen
+	 * @param {Object} operations - Operaciones a aplicar
+	 * @param {Object} options - Opciones
+	 * @param {boolean} options.search - Dejar la pipeline final lista para la búsqueda de calidad:
+	 * solo codificación, o recorte y redimensionado (que la búsqueda puede escalar)
+	 * @returns {Promise<{input: string|Buffer, operations: Object}>}
+	 */
+	static async prepare(input, operations = {}, { search = false } = {}) {
+		const { convert, resize, compress, ...rest } = operations
+		const { segments, last } = this.getSegments(operations, search)
+
+		let autoOrient = operations.autoOrient
+		for (const segment of segments) {
+			input = await this.materialize(input, await this.measure(input, segment, autoOrient), autoOrient)
+			autoOrient = false
+		}
+
+		return {
+			input,
+			operations: {
+				...rest,
+				metadata: this.getMetadataPolicy(operations),
+				steps: await this.measure(input, last, autoOrient),
+				autoOrient,
+			},
+		}
+	}
+
+	/**
+	 * Procesa la imagen en memoria. Con `maxSize` en la codificación busca la mayor calidad
+	 * que cabe en el tamaño indicado (ver ImageCompressor.encodeToSize) y con
+	 * `minSsim` la menor calidad que mantiene esa similitud (ver ImageCompressor.encodeToSimilarity).
+	 * Con `format: "auto"` codifica cada formato candidato y se queda el menor (ver AutoFormat)
+	 * y con `content` ajusta la codificación al tipo de contenido (ver ContentClassifier).
+	 * Un GIF o WebP animado conserva sus fotogramas salvo con `firstFrame` (ver Animation)
+	 * @param {string|Buffer} input - Ruta o Buffer de la imagen
+	 * @param {Object} operations - Operaciones a aplicar
+	 * @returns {Promise<{data: Buffer, info: Object, format: string|null, steps: Array<string>, search: Object|null, metadata: Object, auto?: Object, content?: Object, animation?: Object}>}
+	 */
+	static async render(input, operations = {}) {
+		const metadata = await MetadataPolicy.resolve(input, this.getMetadataPolicy(operations))
+		const steps = this.getSteps(operations)
+		const encoder = this.getEncoder(steps) || {}
+		const search = Boolean(encoder.maxSize || encoder.minSsim)
+		const animation = await this.animate(input, operations, search)
+
+		const prepared = await this.prepare(
+			input,
+			{ ...operations, metadata, animated: Boolean(animation) },
+			{ search },
+		)
+		// Sin codificación la salida mantiene el formato de la entrada, también tras tramos
+		// intermedios (que la dejarían en PNG sin comprimir)
+		if (!this.getEncoder(steps) && prepared.input !== input) {
+			prepared.operations.steps = [
+				...prepared.operations.steps,
+				{ type: 'convert', format: await this.getInputFormat(input) },
+			]
+		}
+		// Tipo de contenido de la imagen que llega al último tramo (content: auto o un tipo forzado)
+		const content = encoder.content ? await this.classify(prepared.input, encoder.content) : null
+		const rendered = {
+			steps: steps.map(step => step.type),
+			metadata: MetadataPolicy.summarize(metadata),
+			...(content && { content }),
+			...(animation && { animation }),
+		}
+
+		if (!AutoFormat.isAuto(encoder.format)) {
+			return {
+				...(await this.encode(prepared.input, this.withContent(prepared.operations, content))),
+				...rendered,
+			}
+		}
+
+		// Las transformaciones ya están hechas: solo se repite la codificación de cada candidato
+		const { candidates } = await AutoFormat.getCandidates(prepared.input, encoder, content?.type)
+		const results = []
+
+		// Una animación solo prueba los formatos que la conservan
+		for (const format of candidates.filter(format => !animation || Animation.FORMATS.includes(format))) {
+			const { formats, compatible, ...step } = prepared.operations.steps.at(-1)
+			const operations = this.withContent(
+				{
+					...prepared.operations,
+					steps: [...prepared.operations.steps.slice(0, -1), { ...step, format }],
+				},
+				content,
+			)
+
+			try {
+				results.push({ ...(await this.encode(prepared.input, operations)), quality: step.quality })
+			} catch (error) {
+				results.push({ format, error: error.message })
+			}
+		}
+
+		const { chosen, summary } = AutoFormat.choose(results)
+
+		return {
+			data: chosen.data,
+			info: chosen.info,
+			format: chosen.format,
+			search: chosen.search,
+			...rendered,
+			auto: summary,
+		}
+	}
+
+	/**
+	 * Procesa la imagen y la escribe directamente en disco
+	 * @param {string|Buffer} input - Ruta o Buffer de la imagen
+	 * @param {string} outputPath - Ruta de salida
+	 * @param {Object} operations - Operaciones a aplicar
+	 * @returns {Promise<Object>} Información de sharp ({ format, width, height, size }) y pasos aplicados
+	 */
+	static async toFile(input, outputPath, operations = {}) {
+		const metadata = await MetadataPolicy.resolve(input, this.getMetadataPolicy(operations))
+		const steps = this.getSteps(operations).map(step => step.type)
+		const animation = await this.animate(input, operations)
+		const prepared = await this.prepare(input, { ...operations, metadata, animated: Boolean(animation) })
+		const info = await this.create(prepared.input, prepared.operations).pipeline.toFile(outputPath)
+
+		return {
+			...info,
+			...(animation && { height: info.pageHeight }),
+			steps,
+			metadata: MetadataPolicy.summarize(metadata),
+			...(animation && { animation }),
+		}
+	}
+
+	/**
+	 * Procesa la imagen en memoria
+	 * @param {string|Buffer} input - Ruta o Buffer de la imagen
+	 * @param {Object} operations - Operaciones a aplicar
+	 * @returns {Promise<{data: Buffer, info: Object}>} Imagen codificada e información de sharp
+	 */
+	static async toBuffer(input, operations = {}) {
+		const { data, info, steps } = await this.render(input, operations)
+
+		return { data, info: { ...info, steps } }
+	}
+
+	/**
+	 * Pasos de las operaciones en orden: `steps` tal cual o las operaciones clásicas convertidas
+	 * (resize y después compress, que hereda formato y opciones de convert, o solo convert)
+	 * @param {Object} operations - Operaciones
+	 * @returns {Array<Object>} Pasos { type, ... }
+	 * @throws {Error} Si los pasos no son válidos o se combinan con convert, resize o compress
+	 */
+	static getSteps(operations = {}) {
+		if (operations.steps) {
+			const legacy = ['convert', 'resize', 'compress'].filter(name => operations[name])
+			if (legacy.length > 0) {
+				throw new Error(
+					`steps no se puede combinar con ${legacy.join(', ')}: usa solo una de las dos formas`,
+				)
+			}
+
+			PipelineSteps.validate(operations.steps)
+			return operations.steps
+		}
+
+		const steps = []
+
+		if (operations.resize) {
+			const { width, height, options } = operations.resize
+			steps.push({ type: 'resize', width, height, ...options })
+		}
+
+		if (operations.compress) {
+			steps.push({ type: 'compress', ...this.getCompressOptions(operations) })
+		} else if (operations.convert) {
+			steps.push({ type: 'convert', format: operations.convert.format, ...operations.convert.options })
+		}
+
+		return steps
+	}
+
+	/**
+	 * Aplica a una lista de pasos operaciones clásicas indicadas aparte (p. ej. --width o
+	 * --min-ssim sobre un preset de pasos): resize sustituye las dimensiones del último
+	 * redimensionado (o se añade tras los pasos geométricos) y convert y compress se combinan
+	 * con la codificación (o la añaden al final; compress sobre un convert lo convierte en compress,
+	 * como en las operaciones clásicas)
+	 * @param {Array<Object>} steps - Pasos
+	 * @param {Object} operations - { convert, resize, compress }
+	 * @returns {Array<Object>} Pasos nuevos
+	 */
+	static overrideSteps(steps, { convert, resize, compress } = {}) {
+		const result = [...steps]
+
+		if (resize) {
+			const { width, height, options } = resize
+			const index = result.findLastIndex(step => step.type === 'resize')
+
+			if (index >= 0) {
+				result[index] = { ...result[index], width, height, ...options }
+			} else {
+				const at = result.findLastIndex(step => PipelineSteps.get(step.type).slot === 'geometry') + 1
+				result.splice(at, 0, { type: 'resize', width, height, ...options })
+			}
+		}
+
+		if (convert || compress) {
+			const options = { format: convert?.format, ...convert?.options, ...compress }
+			const encoder = this.getEncoder(result)
+
+			if (!options.format) delete options.format
+
+			if (encoder) {
+				const type = compress && encoder.type === 'convert' ? 'compress' : encoder.type
+				result[result.length - 1] = { ...encoder, ...options, type }
+			} else {
+				result.push({ type: compress ? 'compress' : 'convert', ...options })
+			}
+		}
+
+		return result
+	}
+
+	/**
+	 * Formato de salida de las operaciones (null si no hay codificación y se mantiene el de entrada)
+	 * @param {Object} operations - Operaciones
+	 * @returns {string|null}
+	 */
+	static getFormat(operations = {}) {
+		const encoder = this.getEncoder(this.getSteps(operations))
+		return encoder ? PipelineSteps.get(encoder.type).format(encoder) : null
+	}
+
+	/**
+	 * Codifica una entrada ya preparada (ver prepare()), con búsqueda de calidad si la pide
+	 * @private
+	 * @returns {Promise<{data: Buffer, info: Object, format: string|null, search: Object|null}>}
+	 */
+	static async encode(input, operations) {
+		const encoder = this.getEncoder(operations.steps) || {}
+		const { pipeline, format } = this.create(input, operations)
+		let search = null
+
+		if (encoder.maxSize) {
+			const crop = operations.steps.find(step => step.type === 'crop')
+			const { width, height } = crop || (await Orientation.getDimensions(input, operations.autoOrient))
+			search = await ImageCompressor.encodeToSize(
+				params =>
+					this.create(input, this.withSearchParams(operations, { ...params, width, height })).pipeline,
+				encoder,
+			)
+		} else if (encoder.minSsim) {
+			// Referencia: la imagen ya transformada, antes de codificar
+			const pixelSteps = operations.steps.filter(step => !PipelineSteps.get(step.type).encode)
+			const reference = await Ssim.luminance(
+				this.create(input, { ...operations, steps: pixelSteps }).pipeline,
+			)
+			// Sin el enfoque de optimizeSize, que no está en la referencia: con él ninguna calidad
+			// alcanzaría la similitud pedida
+			const unsharpened = {
+				...operations,
+				steps: operations.steps.map(step =>
+					step.type === 'compress' || step.type === 'encode' ? { ...step, optimizeSize: false } : step,
+				),
+			}
+			search = await ImageCompressor.encodeToSimilarity(
+				params =>
+					this.create(input, this.withSearchParams(unsharpened, { ...params, scale: 1 })).pipeline,
+				reference,
+				encoder,
+			)
+		} else {
+			const { data, info } = await pipeline.toBuffer({ resolveWithObject: true })
+			return { data, info, format, search }
+		}
+
+		return { data: search.data, info: search.info, format, search }
+	}
+
+	/**
+	 * Tramos de pasos que prepare() ejecuta antes (`segments`) y el que queda para la codificación (`last`)
+	 * @private
+	 */
+	static getSegments(operations, search = false) {
+		const segments = PipelineSteps.segment(this.getSteps(operations), operations.autoOrient)
+		let last = segments.pop()
+
+		const pixels = last.filter(step => !PipelineSteps.get(step.type).encode)
+		if (search && !['', 'resize', 'crop,resize'].includes(pixels.map(step => step.type).join())) {
+			segments.push(pixels)
+			last = last.filter(step => PipelineSteps.get(step.type).encode)
+		}
+
+		return { segments, last }
+	}
+
+	/**
+	 * Fotogramas de la entrada si se procesa como animación (ver Animation.resolve): todos los pasos
+	 * deben poder aplicarse a cada fotograma en una sola pipeline, sin tramos intermedios
+	 * @private
+	 */
+	static async animate(input, operations, search = false) {
+		const steps = this.getSteps(operations)
+		let unsupported = steps.filter(step => !PipelineSteps.get(step.type).animated).map(step => step.type)
+
+		if (unsupported.length === 0 && this.getSegments(operations, search).segments.length > 0) {
+			unsupported = [steps.map(step => step.type).join(' → ')]
+		}
+
+		return Animation.resolve(input, {
+			formats: this.getOutputFormats(this.getEncoder(steps)),
+			firstFrame: operations.firstFrame,
+			unsupported,
+		})
+	}
+
+	/**
+	 * Formatos de salida posibles de una codificación (vacío si se mantiene el de entrada)
+	 * @private
+	 */
+	static getOutputFormats(encoder) {
+		if (!encoder) return []
+
+		const format = PipelineSteps.get(encoder.type).format(encoder)
+		if (!AutoFormat.isAuto(format)) return [format]
+		if (encoder.compatible) return AutoFormat.COMPATIBLE
+
+		return encoder.formats ?? [...new Set([...AutoFormat.CANDIDATES, ...AutoFormat.GRAPHIC])]
+	}
+
+	/**
+	 * Clasifica la imagen; con un tipo indicado se mantienen las estadísticas pero manda ese tipo
+	 * @private
+	 */
+	static async classify(input, type) {
+		const content = await ContentClassifier.classify(input)
+		return type === 'auto' ? content : { ...content, type }
+	}
+
+	/**
+	 * Completa la codificación con las opciones del tipo de contenido (ver
+	 * ContentClassifier.getEncoderOptions): solo las que admite el paso y que no estén ya indicadas
+	 * @private
+	 */
+	static withContent(operations, content) {
+		if (!content) return operations
+
+		const encoder = operations.steps.at(-1)
+		const definition = PipelineSteps.get(encoder.type)
+		const options = ContentClassifier.getEncoderOptions(content.type, definition.format(encoder), {
+			colors: content.colors,
+			search: Boolean(encoder.maxSize || encoder.minSsim),
+		})
+
+		const defaults = Object.entries(options).filter(
+			([key]) => key in definition.keys && encoder[key] === undefined,
+		)
+
+		return {
+			...operations,
+			steps: [...operations.steps.slice(0, -1), { ...encoder, ...Object.fromEntries(defaults) }],
+		}
+	}
+
+	/**
+	 * Paso de codificación (el último, si codifica)
+	 * @private
+	 */
+	static getEncoder(steps) {
+		const last = steps.at(-1)
+		return last && PipelineSteps.get(last.type).encode ? last : null
+	}
+
+	/**
+	 * Añade `size` (dimensiones de la imagen que le llega) al primer paso de un tramo si lo necesita
+	 * y lo prepara (ver PipelineSteps.register)
+	 * @private
+	 */
+	static async measure(input, segment, autoOrient) {
+		const [first, ...rest] = segment
+		const definition = first && PipelineSteps.get(first.type)
+		if (!definition?.measure?.(first)) return segment
+
+		const { width, height } = await Orientation.getDimensions(input, autoOrient)
+		const step = { ...first, size: { width, height } }
+		return [definition.prepare ? await definition.prepare(step) : step, ...rest]
+	}
+
+	/**
+	 * Ejecuta un tramo de pasos y devuelve la imagen en PNG sin comprimir (8 o 16 bits, sRGB) con sus metadatos
+	 * @private
+	 */
+	static async materialize(input, steps, autoOrient) {
+		let pipeline = Orientation.apply(sharp(input).keepMetadata(), autoOrient)
+
+		for (const step of steps) {
+			pipeline = PipelineSteps.get(step.type).apply(pipeline, step)
+		}
+
+		return pipeline.png({ compressionLevel: 0 }).toBuffer()
+	}
+
+	/**
+	 * Formato de salida equivalente al de la entrada (PNG si no se puede escribir en el mismo)
+	 * @private
+	 */
+	static async getInputFormat(input) {
+		const { format, compression } = await sharp(input).metadata()
+		if (format === 'heif' && compression === 'av1') return 'avif'
+
+		return PipelineSteps.SCHEMAS.outputFormats.includes(format) ? format : 'png'
+	}
+
+	/**
+	 * Política de metadatos de las operaciones (compress.metadata por compatibilidad)
+	 * @private
+	 */
+	static getMetadataPolicy(operations) {
+		return operations.metadata ?? operations.compress?.metadata
+	}
+
+	/**
+	 * Opciones de compresión efectivas (compress hereda formato y opciones de convert)
+	 * @private
+	 */
+	static getCompressOptions(operations) {
+		const options = {
+			format: operations.convert?.format,
+			...operations.convert?.options,
+			...operations.compress,
+		}
+
+		return { ...options, format: (options.format || 'webp').toLowerCase() }
+	}
+
+	/**
+	 * Aplica calidad, esfuerzo y escala de un intento de búsqueda a las operaciones ya preparadas.
+	 * La escala reduce el redimensionado existente (sin ampliar, desde lo que no pasa de `width` x `height`,
+	 * las dimensiones que le llegan) o añade uno (tras el recorte, si lo hay)
+	 * @private
+	 */
+	static withSearchParams(operations, { quality, effort, scale, width, height }) {
+		const steps = operations.steps.map(step =>
+			PipelineSteps.get(step.type).encode ? { ...step, quality, ...(effort && { effort }) } : step,
+		)
+
+		if (scale < 1) {
+			const index = steps.findIndex(step => step.type === 'resize')
+
+			if (index >= 0) {
+				const resize = steps[index]
+				const limit = (value, max) =>
+					resize.withoutEnlargement === false || !max ? value : Math.min(value, max)
+				steps[index] = {
+					...resize,
+					width: resize.width ? Math.round(limit(resize.width, width) * scale) : null,
+					height: resize.height ? Math.round(limit(resize.height, height) * scale) : null,
+				}
+			} else {
+				const at = steps.findIndex(step => step.type === 'crop') + 1
+				steps.splice(at, 0, {
+					type: 'resize',
+					width: Math.round(width * scale),
+					height: null,
+					fit: 'inside',
+				})
+			}
+		}
+
+		return { ...operations, steps }
+	}
+}
@@ -1,18 +1,39 @@
 import { ImageConverter } from '../operations/ImageConverter.js'
 import { ImageResizer } from '../operations/ImageResizer.js'
 import { ImageCompressor } from '../operations/ImageCompressor.js'
+import { ImageText } from '../operations/ImageText.js'
+import { Animation } from './Animation.js'
+import { AutoFormat } from './AutoFormat.js'
+import { ContentClassifier } from './ContentClassifier.js'
+import { FocalPoint } from './FocalPoint.js'
+import { ImagePipeline } from './ImagePipeline.js'
 import { ImageValidator } from './ImageValidator.js'
+import { MetadataPolicy } from './MetadataPolicy.js'
+import { Orientation } from './Orientation.js'
 import { Logger } from '../utils/Logger.js'
 import { FileManager } from '../utils/fileManager.js'
 import { PathUtils } from '../utils/PathUtils.js'
-import { statSync, existsSync } from 'fs'
+import { WorkerPool } from '../utils/WorkerPool.js'
+import { StreamUtils } from '../utils/StreamUtils.js'
+import { BuildCache } from '../utils/BuildCache.js'
+import { statSync } from 'fs'
+import { writeFile } from 'fs/promises'
+import { basename, dirname } from 'path'
+import { EventEmitter } from 'events'
 
 /**
  * Procesador principal de imágenes - Facade Pattern
  * Ahora maneja directorios y archivos individuales
+ *
+ * Observer Pattern: emite eventos para integrarse en otras herramientas
+ * - file-start: { input, output }
+ * - file-done: { input, output, result }
+ * - file-error: { input, output, error }
+ * - progress: { completed, total, input, skipped } (directorios y lotes; skipped = omitida por la caché)
  */
-export class ImageProcessor {
+export class ImageProcessor extends EventEmitter {
 	constructor() {
+		super()
 		this.converter = ImageConverter
 		this.resizer = ImageResizer
 		this.compressor = ImageCompressor
@@ -21,20 +42,23 @@ export class ImageProcessor {
 
 	/**
 	 * Procesa una imagen o directorio con múltiples operaciones
-	 * @param {string} inputPath - Ruta de entrada (archivo o directorio)
-	 * @param {string} outputPath - Ruta de salida (archivo o directorio)
+	 * @param {string|Buffer|Readable} input - Ruta (archivo o directorio), Buffer o stream legible
+	 * @param {string|Writable|null} output - Ruta (archivo o directorio), stream de escritura o null para
+	 * devolver la imagen como Buffer en `result.data`
 	 * @param {Object} operations - Operaciones a aplicar
+	 * @param {Object} options - Opciones de directorios: búsqueda (recursive, maxDepth, symlinks) y
+	 * caché incremental (cache: omitir imágenes sin cambios, force: reprocesarlas igualmente)
 	 * @returns {Promise<Object>} Resultado
 	 */
-	async process(inputPath, outputPath, operations = {}) {
+	async process(input, output, operations = {}, options = {}) {
 		try {
 			// Verificar si es directorio o archivo
-			const isDirectory = await this.fileManager.isDirectory(inputPath)
+			const isDirectory = typeof input === 'string' && (await this.fileManager.isDirectory(input))
 
 			if (isDirectory) {
-				return await this.processDirectory(inputPath, outputPath, operations)
+				return await this.processDirectory(input, output, operations, options)
 			} else {
-				return await this.processSingleFile(inputPath, outputPath, operations)
+				return await this.processSingleFile(input, output, operations)
 			}
 		} catch (error) {
 			Logger.error(`Error en procesamiento: ${error.message}`)
@@ -43,109 +67,169 @@ export class ImageProcessor {
 	}
 
 	/**
-	 * Procesa un archivo individual
+	 * Procesa un archivo individual, Buffer o stream
 	 * @private
 	 */
-	async processSingleFile(inputPath, outputPath, operations) {
-		Logger.header(`PROCESANDO: ${PathUtils.getBaseName(inputPath)}`)
+	async processSingleFile(input, output, operations) {
+		const name = this.describeSource(input)
+		let target = typeof output === 'string' ? output : null
 
-		// Validar archivo de entrada
-		const validation = ImageValidator.validate(inputPath)
-		if (!validation.isValid) {
-			throw new Error(validation.error)
-		}
+		// Encuadre propio de la imagen en el mapa de --focus-map y textos con sus valores
+		operations = ImageText.forImage(FocalPoint.forImage(operations, input), input)
 
-		const originalStats = statSync(inputPath)
-		Logger.info(`Tamaño original: ${Logger.formatBytes(originalStats.size)}`)
-		Logger.info(`Formato: ${PathUtils.getExtension(inputPath).toUpperCase()}`)
+		this.emit('file-start', { input: name, output: target })
 
-		let currentPath = inputPath
-		const results = {}
-		const tempFiles = []
-
-		// Aplicar operaciones en orden
-		if (operations.convert) {
-			Logger.divider()
-			Logger.header('CONVERSIÓN DE FORMATO')
-
-			const tempOutput = `${outputPath}.temp.${operations.convert.format}`
-			const result = await this.converter.convert(
-				currentPath,
-				tempOutput,
-				operations.convert.format,
-				operations.convert.options,
+		try {
+			const source = await this.readSource(input)
+			const { width: originalWidth, height: originalHeight } = await Orientation.getDimensions(
+				source.input,
+				operations.autoOrient,
 			)
 
-			results.convert = result
-			tempFiles.push(tempOutput)
-			currentPath = tempOutput
-		}
+			Logger.header(`PROCESANDO: ${PathUtils.getBaseName(name)}`)
+			Logger.info(`Tamaño original: ${Logger.formatBytes(source.size)}`)
+			if (typeof input === 'string') {
+				Logger.info(`Formato: ${PathUtils.getExtension(input).toUpperCase()}`)
+			}
 
-		if (operations.resize) {
+			// Una sola decodificación y una sola codificación: nada se escribe hasta la salida final
 			Logger.divider()
-			Logger.header('REDIMENSIONADO')
-
-			const tempOutput = `${outputPath}.temp.resized`
-			const result = await this.resizer.resize(
-				currentPath,
-				tempOutput,
-				operations.resize.width,
-				operations.resize.height,
-				operations.resize.options,
-			)
+			const steps = ImagePipeline.getSteps(operations).map(step => step.type)
+			Logger.progress(`Aplicando: ${steps.length > 0 ? steps.join(' → ') : 'sin transformaciones'}`)
 
-			results.resize = result
-			tempFiles.push(tempOutput)
-			currentPath = tempOutput
-		}
+			const rendered = await ImagePipeline.render(source.input, operations)
+			const { info, format, search, metadata, auto, content, animation } = rendered
+			let data = rendered.data
+
+			MetadataPolicy.log(metadata)
 
-		if (operations.compress) {
+			if (content) {
+				Logger.info(`Contenido: ${ContentClassifier.describe(content)}`)
+			}
+
+			if (animation) {
+				Logger.info(`Animación: ${Animation.describe(animation)}`)
+			}
+
+			if (auto) {
+				AutoFormat.log(auto)
+				// La extensión de la salida pasa a ser la del formato elegido
+				if (target) target = PathUtils.changeExtension(target, format === 'jpeg' ? 'jpg' : format)
+			}
+
+			if (target) {
+				// Crear el directorio de salida si no existe
+				await this.fileManager.ensureDirectoryExists(dirname(target))
+				await writeFile(target, data)
+				data = null
+			} else if (StreamUtils.isWritable(output)) {
+				await StreamUtils.writeBuffer(output, data)
+				data = null
+			}
+
+			// Mostrar resultados finales
 			Logger.divider()
-			Logger.header('COMPRESIÓN')
+			Logger.header('PROCESO COMPLETADO')
+
+			const finalFormat = format || info.format || (target ? PathUtils.getExtension(target) : null)
+
+			Logger.stats(source.size, info.size, finalFormat, {
+				quality: search?.quality,
+				ssim: search?.ssim,
+			})
+
+			const result = {
+				success: true,
+				output: target,
+				operations: steps,
+				format: finalFormat,
+				// En una animación sharp informa del alto de todos los fotogramas apilados
+				dimensions: { width: info.width, height: animation ? info.pageHeight : info.height },
+				originalDimensions: { width: originalWidth, height: originalHeight },
+				originalSize: source.size,
+				finalSize: info.size,
+				reduction: source.size > 0 ? (((source.size - info.size) / source.size) * 100).toFixed(1) : 0,
+				quality: search ? search.quality : this.getQuality(operations),
+				metadataPolicy: metadata,
+			}
+
+			if (auto) {
+				result.autoFormat = auto
+			}
 
-			const result = await this.compressor.compress(currentPath, outputPath, operations.compress)
+			if (content) {
+				result.content = content
+			}
 
-			results.compress = result
-		} else {
-			// Si no hay compresión, copiar el último archivo temporal
-			const fs = await import('fs')
-			const { pipeline } = await import('stream/promises')
-			const readStream = fs.createReadStream(currentPath)
-			const writeStream = fs.createWriteStream(outputPath)
-			await pipeline(readStream, writeStream)
+			if (animation) {
+				result.animation = animation
+			}
+
+			if (search) {
+				result.search = search.maxBytes
+					? {
+							maxSize: search.maxBytes,
+							effort: search.effort,
+							scale: search.scale,
+							attempts: search.attempts,
+						}
+					: { minSsim: search.minSsim, ssim: search.ssim, met: search.met, attempts: search.attempts }
+			}
+
+			if (data) {
+				result.data = data
+			}
+
+			this.emit('file-done', { input: name, output: target, result })
+
+			return result
+		} catch (error) {
+			this.emit('file-error', { input: name, output: target, error })
+			throw error
+		}
+	}
+
+	/**
+	 * Normaliza la entrada (ruta, Buffer o stream) y la valida
+	 * @private
+	 * @returns {Promise<{input: string|Buffer, size: number}>}
+	 */
+	async readSource(input) {
+		if (typeof input === 'string') {
+			const validation = ImageValidator.validate(input)
+			if (!validation.isValid) {
+				throw new Error(validation.error)
+			}
+			return { input, size: statSync(input).size }
 		}
 
-		// Limpiar archivos temporales
-		await this.cleanupTempFiles(tempFiles)
+		const buffer = StreamUtils.isReadable(input) ? await StreamUtils.toBuffer(input) : input
 
-		// Mostrar resultados finales
-		Logger.divider()
-		Logger.header('PROCESO COMPLETADO')
-
-		const finalStats = statSync(outputPath)
-		const finalFormat = PathUtils.getExtension(outputPath)
-
-		Logger.stats(originalStats.size, finalStats.size, finalFormat)
-
-		return {
-			success: true,
-			output: outputPath,
-			operations: results,
-			finalSize: finalStats.size,
-			reduction:
-				originalStats.size > 0
-					? (((originalStats.size - finalStats.size) / originalStats.size) * 100).toFixed(1)
-					: 0,
+		const validation = ImageValidator.validateBuffer(buffer)
+		if (!validation.isValid) {
+			throw new Error(validation.error)
 		}
+
+		return { input: buffer, size: buffer.length }
+	}
+
+	/**
+	 * Nombre legible de la entrada para logs y eventos
+	 * @private
+	 */
+	describeSource(input) {
+		if (typeof input === 'string') return input
+		if (Buffer.isBuffer(input)) return 'buffer'
+		return typeof input?.path === 'string' ? input.path : 'stream'
 	}
 
 	/**
 	 * Procesa un directorio completo
 	 * @private
 	 */
-	async processDirectory(inputDir, outputDir, operations) {
+	async processDirectory(inputDir, outputDir, operations, options = {}) {
 		// Obtener todas las imágenes del directorio
-		const images = await this.fileManager.getImagesFromDirectory(inputDir)
+		const images = await this.fileManager.getImagesFromDirectory(inputDir, options)
 
 		if (images.length === 0) {
 			throw new Error(`No se encontraron imágenes válidas en: ${inputDir}`)
@@ -157,42 +241,58 @@ export class ImageProcessor {
 		// Crear directorio de salida si no existe
 		await this.fileManager.ensureDirectoryExists(outputDir)
 
-		const results = []
-		const total = images.length
+		// Sin caché se procesa todo; con ella se omiten las salidas al día
+		const cache = options.cache ? await BuildCache.open(outputDir, { force: options.force }) : null
+		const fingerprint = cache ? BuildCache.fingerprint({ operations }) : null
 
-		// Procesar cada imagen
-		for (let i = 0; i < total; i++) {
-			const image = images[i]
-			Logger.info(`[${i + 1}/${total}] ${image.name}`)
+		const total = images.length
+		let completed = 0
 
+		// Procesar imágenes en paralelo; los resultados conservan el orden de entrada
+		const results = await WorkerPool.map(images, async image => {
 			try {
 				// Generar ruta de salida para esta imagen
 				const outputPath = await this.fileManager.generateOutputPath(
 					image.path,
 					outputDir,
 					this.getOperationType(operations),
-					operations,
+					// Extensión del formato codificado (convert, compress o el último paso de steps)
+					{ ...operations, format: ImagePipeline.getFormat(operations), relativeDir: image.relativeDir },
 				)
 
-				const result = await this.processSingleFile(image.path, outputPath, operations)
+				const task = () => this.processSingleFile(image.path, outputPath, operations)
+				const run = cache
+					? await cache.run(image.path, outputPath, fingerprint, task)
+					: { skipped: false, result: await task() }
+				const written = run.output ?? run.result?.output ?? outputPath
+
+				if (run.skipped) {
+					Logger.info(`[${++completed}/${total}] ${image.relativePath} sin cambios`)
+				} else {
+					Logger.success(`[${++completed}/${total}] ${image.relativePath} → ${basename(written)}`)
+				}
+				this.emit('progress', { completed, total, input: image.path, skipped: run.skipped })
 
-				results.push({
+				return {
 					input: image.path,
-					output: outputPath,
+					output: written,
 					success: true,
-					result,
-				})
-
-				Logger.success(`✓ ${image.name} → ${basename(outputPath)}`)
+					skipped: run.skipped,
+					result: run.result,
+				}
 			} catch (error) {
-				results.push({
+				Logger.error(`[${++completed}/${total}] ${image.relativePath}: ${error.message}`)
+				this.emit('progress', { completed, total, input: image.path })
+
+				return {
 					input: image.path,
 					success: false,
 					error: error.message,
-				})
-				Logger.error(`✗ ${image.name}: ${error.message}`)
+				}
 			}
-		}
+		})
+
+		await cache?.save()
 
 		// Mostrar resumen del directorio
 		this.showDirectorySummary(results)
@@ -200,11 +300,23 @@ export class ImageProcessor {
 		return results
 	}
 
+	/**
+	 * Calidad de codificación configurada (null si no se codifica con pérdida)
+	 * @private
+	 */
+	getQuality(operations) {
+		const encoder = ImagePipeline.getSteps(operations).at(-1)
+		if (encoder?.type === 'convert') return encoder.quality ?? null
+		if (encoder?.type === 'compress' || encoder?.type === 'encode') return encoder.quality ?? 80
+		return null
+	}
+
 	/**
 	 * Determina el tipo de operación principal
 	 * @private
 	 */
 	getOperationType(operations) {
+		if (operations.steps) return 'pipeline'
 		if (operations.convert) return 'convert'
 		if (operations.resize) return 'resize'
 		if (operations.compress) return 'compress'
@@ -222,6 +334,7 @@ export class ImageProcessor {
 		const total = results.length
 		const success = results.filter(r => r.success).length
 		const failed = total - success
+		const skipped = results.filter(r => r.skipped).length
 
 		let totalOriginalSize = 0
 		let totalOptimizedSize = 0
@@ -238,11 +351,14 @@ export class ImageProcessor {
 				? (((totalOriginalSize - totalOptimizedSize) / totalOriginalSize) * 100).toFixed(1)
 				: 0
 
-		console.log(`📁 Total de imágenes: ${total}`)
-		console.log(`✅ Procesadas exitosamente: ${success}`)
-		console.log(`❌ Fallidas: ${failed}`)
-		console.log(`🗜️  Reducción total: ${totalReduction > 0 ? '-' : ''}${totalReduction}%`)
-		console.log(`💾 Espacio ahorrado: ${Logger.formatBytes(totalOriginalSize - totalOptimizedSize)}`)
+		Logger.write(`📁 Total de imágenes: ${total}`)
+		Logger.write(`✅ Procesadas exitosamente: ${success}`)
+		Logger.write(`❌ Fallidas: ${failed}`)
+		if (skipped > 0) {
+			Logger.write(`⏭️  Sin cambios (caché): ${skipped}`)
+		}
+		Logger.write(`🗜️  Reducción total: ${totalReduction > 0 ? '-' : ''}${totalReduction}%`)
+		Logger.write(`💾 Espacio ahorrado: ${Logger.formatBytes(totalOriginalSize - totalOptimizedSize)}`)
 
 		if (success === total) {
 			Logger.success('¡Todas las imágenes procesadas exitosamente!')
@@ -253,50 +369,36 @@ export class ImageProcessor {
 		}
 	}
 
-	/**
-	 * Limpia archivos temporales
-	 * @private
-	 */
-	async cleanupTempFiles(files) {
-		const fs = await import('fs')
-		const { unlink } = fs.promises
-
-		for (const file of files) {
-			try {
-				if (existsSync(file)) {
-					await unlink(file)
-				}
-			} catch (error) {
-				// Silencioso, no es crítico
-			}
-		}
-	}
-
 	/**
 	 * Procesa un lote de imágenes con configuración individual
 	 * @param {Array} images - Array de configuraciones
 	 * @returns {Promise<Array>} Resultados
 	 */
 	async batchProcess(images) {
-		const results = []
 		const total = images.length
+		let completed = 0
 
 		Logger.header(`PROCESANDO LOTE DE ${total} IMÁGENES`)
 
-		for (let i = 0; i < total; i++) {
-			const config = images[i]
-			Logger.info(`Procesando ${i + 1}/${total}: ${config.input}`)
+		return await WorkerPool.map(images, async config => {
+			Logger.info(`Procesando: ${config.input}`)
 
 			try {
-				const result = await this.process(config.input, config.output, config.operations)
-				results.push({ ...config, success: true, result })
-				Logger.success(`✓ ${config.input} → ${config.output}`)
+				const result = await this.process(config.input, config.output, config.operations, {
+					recursive: config.recursive,
+					maxDepth: config.maxDepth,
+					symlinks: config.symlinks,
+					cache: config.cache,
+					force: config.force,
+				})
+				Logger.success(`[${++completed}/${total}] ${config.input} → ${config.output}`)
+				this.emit('progress', { completed, total, input: config.input })
+				return { ...config, success: true, result }
 			} catch (error) {
-				results.push({ ...config, success: false, error: error.message })
-				Logger.error(`✗ ${config.input}: ${error.message}`)
+				Logger.error(`[${++completed}/${total}] ${config.input}: ${error.message}`)
+				this.emit('progress', { completed, total, input: config.input })
+				return { ...config, success: false, error: error.message }
 			}
-		}
-
-		return results
+		})
 	}
 }
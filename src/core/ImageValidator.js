@@ -52,6 +52,27 @@ export class ImageValidator {
     return { isValid: true, error: null };
   }
 
+  /**
+   * Valida una imagen recibida en memoria
+   * @param {Buffer} buffer - Contenido de la imagen
+   * @returns {Object} { isValid: boolean, error: string }
+   */
+  static validateBuffer(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+      return { isValid: false, error: 'La entrada no es un Buffer' };
+    }
+    if (buffer.length === 0) {
+      return { isValid: false, error: 'El buffer está vacío' };
+    }
+    if (buffer.length > this.MAX_FILE_SIZE) {
+      return { 
+        isValid: false, 
+        error: `Imagen demasiado grande (${Math.round(buffer.length / 1024 / 1024)}MB). Máximo: 100MB` 
+      };
+    }
+    return { isValid: true, error: null };
+  }
+
   /**
    * Valida parámetros de redimensionado
    * @param {number} width - Ancho
@@ -0,0 +1,163 @@
+import sharp from 'sharp'
+import { ExifParser } from '../utils/ExifParser.js'
+import { Logger } from '../utils/Logger.js'
+
+/**
+ * Política de metadatos común a todas las operaciones
+ * - strip: elimina todo (por defecto)
+ * - keep: conserva EXIF, ICC, XMP e IPTC
+ * - icc: conserva solo el perfil de color ICC
+ * - no-gps: conserva ICC y el EXIF técnico, sin GPS ni datos personales
+ *
+ * no-gps reescribe el EXIF desde una lista blanca: cualquier etiqueta desconocida,
+ * binaria (MakerNote, que suele incluir el número de serie) o sensible se descarta,
+ * igual que XMP e IPTC, que pueden repetir coordenadas y nombres
+ */
+export class MetadataPolicy {
+	static POLICIES = ['strip', 'keep', 'icc', 'no-gps']
+	static DEFAULT = 'strip'
+
+	// Valores antiguos de la opción metadata de ImageCompressor
+	static ALIASES = { none: 'strip', all: 'keep' }
+
+	/**
+	 * Etiquetas EXIF que nunca se conservan con no-gps (además de todo el IFD GPS)
+	 */
+	static SENSITIVE_TAGS = new Set([
+		'Artist',
+		'HostComputer',
+		'CameraOwnerName',
+		'BodySerialNumber',
+		'LensSerialNumber',
+		'ImageUniqueID',
+		'MakerNote',
+		'UserComment',
+	])
+
+	// Etiquetas de versión que el codificador vuelve a escribir siempre
+	static REGENERATED_TAGS = new Set(['ExifVersion', 'FlashpixVersion', 'ComponentsConfiguration'])
+
+	/**
+	 * Normaliza el nombre de la política
+	 * @param {string} policy - strip, keep, icc, no-gps (o los antiguos none/all)
+	 * @returns {string}
+	 */
+	static normalize(policy) {
+		if (policy === undefined || policy === null) return this.DEFAULT
+
+		const value = this.ALIASES[policy] || policy
+		if (!this.POLICIES.includes(value)) {
+			throw new Error(`Política de metadatos no válida: ${policy}. Opciones: ${this.POLICIES.join(', ')}`)
+		}
+		return value
+	}
+
+	/**
+	 * Lee los metadatos de la entrada y decide qué campos se conservan
+	 * @param {string|Buffer} input - Ruta o Buffer de la imagen
+	 * @param {string} policy - Política de metadatos
+	 * @returns {Promise<{policy: string, present: Array<string>, kept: Array<string>, dropped: Array<string>, exif: Object|null}>}
+	 * exif son los campos a escribir con sharp.withExif (solo no-gps)
+	 */
+	static async resolve(input, policy) {
+		const name = this.normalize(policy)
+		const metadata = await sharp(input).metadata()
+		const exif = ExifParser.parse(metadata.exif)
+
+		const fields = [
+			...exif.IFD0.map(field => ({ ...field, ifd: 'IFD0' })),
+			...exif.EXIF.map(field => ({ ...field, ifd: 'IFD2' })),
+			...exif.GPS.map(field => ({ ...field, ifd: 'IFD3' })),
+		]
+		const blocks = [metadata.icc && 'ICC', metadata.xmp && 'XMP', metadata.iptc && 'IPTC'].filter(Boolean)
+
+		const present = [...fields.map(field => field.name), ...blocks]
+		let kept = []
+		let withExif = null
+
+		if (name === 'keep') {
+			kept = present
+		} else if (name === 'icc') {
+			kept = blocks.filter(block => block === 'ICC')
+		} else if (name === 'no-gps') {
+			withExif = {}
+
+			for (const field of fields) {
+				if (this.REGENERATED_TAGS.has(field.name)) {
+					kept.push(field.name)
+					continue
+				}
+
+				const value = this.isAllowed(field) ? ExifParser.formatValue(field) : null
+				if (value === null || value === '') continue
+
+				withExif[field.ifd] = { ...withExif[field.ifd], [field.name]: value }
+				kept.push(field.name)
+			}
+
+			kept.push(...blocks.filter(block => block === 'ICC'))
+		}
+
+		return {
+			policy: name,
+			present,
+			kept,
+			dropped: present.filter(field => !kept.includes(field)),
+			exif: withExif && Object.keys(withExif).length > 0 ? withExif : null,
+		}
+	}
+
+	/**
+	 * Aplica la política a una pipeline de sharp
+	 * @param {sharp.Sharp} pipeline - Pipeline de sharp
+	 * @param {string|Object} policy - Nombre de la política o resultado de resolve()
+	 * @returns {sharp.Sharp}
+	 */
+	static apply(pipeline, policy) {
+		const resolved = typeof policy === 'object' && policy !== null ? policy : null
+		const name = resolved ? resolved.policy : this.normalize(policy)
+
+		switch (name) {
+			case 'keep':
+				return pipeline.keepMetadata()
+			case 'icc':
+				return pipeline.keepIccProfile()
+			case 'no-gps':
+				// Sin resolve() no se conoce el EXIF de la entrada: se conserva solo el ICC
+				pipeline = pipeline.keepIccProfile()
+				return resolved?.exif ? pipeline.withExif(resolved.exif) : pipeline
+			default:
+				return pipeline
+		}
+	}
+
+	/**
+	 * Informe de campos presentes, conservados y eliminados (sin los datos EXIF)
+	 * @param {Object} resolved - Resultado de resolve()
+	 * @returns {{policy: string, present: Array<string>, kept: Array<string>, dropped: Array<string>}}
+	 */
+	static summarize({ policy, present, kept, dropped }) {
+		return { policy, present, kept, dropped }
+	}
+
+	/**
+	 * Muestra en el log qué metadatos se han eliminado
+	 * @param {Object} resolved - Resultado de resolve()
+	 */
+	static log({ policy, dropped, kept }) {
+		if (dropped.length > 0) {
+			Logger.info(`Metadatos (${policy}): eliminados ${dropped.join(', ')}`)
+		}
+		if (policy !== 'keep' && kept.length > 0) {
+			Logger.info(`Metadatos (${policy}): conservados ${kept.join(', ')}`)
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	static isAllowed(field) {
+		// Etiquetas sin nombre conocido (0x....) o del IFD GPS se descartan siempre
+		return field.ifd !== 'IFD3' && !field.name.startsWith('0x') && !this.SENSITIVE_TAGS.has(field.name)
+	}
+}
@@ -1,48 +1,187 @@
-import { ImageProcessor } from "./imageProcessor.js"
+import { ImageProcessor } from "./ImageProcessor.js"
+import { ImagePipeline } from "./ImagePipeline.js"
 
 /**
  * Factory Pattern para crear optimizadores específicos
  */
 export class OptimizerFactory {
-	static createOptimizer(type = 'default') {
-		const processor = new ImageProcessor()
-
-		const optimizers = {
-			web: () => ({
-				convert: { format: 'webp', options: { quality: 80, effort: 6 } },
-				compress: { quality: 80, format: 'webp' },
-			}),
-
-			avif: () => ({
-				convert: { format: 'avif', options: { quality: 70, effort: 5 } },
-			}),
-
-			mobile: () => ({
-				resize: { width: 800, height: 800, options: { fit: 'inside' } },
-				convert: { format: 'webp', options: { quality: 75 } },
-			}),
-
-			thumbnail: () => ({
-				resize: { width: 300, height: 300, options: { fit: 'cover' } },
-				convert: { format: 'webp', options: { quality: 70 } },
-			}),
-
-			social: () => ({
-				resize: { width: 1200, height: 630, options: { fit: 'cover' } },
-				convert: { format: 'jpg', options: { quality: 85, progressive: true } },
-			}),
-
-			default: () => ({}),
+	/**
+	 * Presets de optimización disponibles
+	 */
+	static PRESETS = {
+		web: {
+			convert: { format: 'webp', options: { quality: 80, effort: 6 } },
+			compress: { quality: 80, format: 'webp' },
+		},
+
+		avif: {
+			convert: { format: 'avif', options: { quality: 70, effort: 5 } },
+		},
+
+		mobile: {
+			resize: { width: 800, height: 800, options: { fit: 'inside' } },
+			convert: { format: 'webp', options: { quality: 75 } },
+		},
+
+		thumbnail: {
+			resize: { width: 300, height: 300, options: { fit: 'cover' } },
+			convert: { format: 'webp', options: { quality: 70 } },
+		},
+
+		// Tarjetas para redes: los textos solo aparecen si se dan sus valores
+		// ({title}, {price}, {badge}: --value en optimize o `values` en batch)
+		social: {
+			steps: [
+				// Siempre 1200x630 (se amplía si hace falta): los textos se colocan para ese tamaño
+				{ type: 'resize', width: 1200, height: 630, fit: 'cover', withoutEnlargement: false },
+				{
+					type: 'text',
+					text: '{badge}',
+					gravity: 'northeast',
+					fontSize: 40,
+					weight: 'bold',
+					background: '#e11d48',
+					margin: 40,
+				},
+				{
+					type: 'text',
+					text: '{title}',
+					gravity: 'southwest',
+					fontSize: 60,
+					weight: 'bold',
+					background: 'rgba(0,0,0,0.6)',
+					margin: 40,
+					maxWidth: 760,
+				},
+				{
+					type: 'text',
+					text: '{price}',
+					gravity: 'southeast',
+					fontSize: 56,
+					weight: 'bold',
+					color: '#111111',
+					background: '#facc15',
+					margin: 40,
+				},
+				{ type: 'convert', format: 'jpg', quality: 85, progressive: true },
+			],
+		},
+
+		default: {},
+	}
+
+	/**
+	 * Nombres de los presets disponibles (integrados y del proyecto)
+	 * @returns {Array<string>}
+	 */
+	static getPresetNames() {
+		return Object.keys(this.PRESETS).filter(name => name !== 'default')
+	}
+
+	/**
+	 * Registra presets propios. Con `extends` heredan las operaciones de otro preset
+	 * (del mismo conjunto o integrado; un preset que se extiende a sí mismo parte del integrado)
+	 * @param {Object} presets - { nombre: { extends?, convert?, resize?, compress?, ... } }
+	 * @throws {Error} Si `extends` apunta a un preset que no existe o la herencia es circular
+	 */
+	static definePresets(presets = {}) {
+		const builtIn = { ...this.PRESETS }
+		const resolved = {}
+		const resolving = []
+
+		const resolvePreset = name => {
+			if (resolved[name]) return resolved[name]
+
+			if (resolving.includes(name)) {
+				throw new Error(`presets.${name}.extends: herencia circular (${[...resolving, name].join(' → ')})`)
+			}
+
+			const { extends: base, ...operations } = presets[name]
+			let parent = {}
+
+			resolving.push(name)
+			if (base !== undefined) {
+				if (base !== name && presets[base]) {
+					parent = resolvePreset(base)
+				} else if (builtIn[base]) {
+					parent = structuredClone(builtIn[base])
+				} else {
+					throw new Error(`presets.${name}.extends: no existe el preset "${base}"`)
+				}
+			}
+			resolving.pop()
+
+			resolved[name] = this.mergeOperations(parent, operations)
+			return resolved[name]
 		}
 
-		const config = optimizers[type] ? optimizers[type]() : optimizers.default()
+		for (const name of Object.keys(presets)) {
+			resolvePreset(name)
+		}
+
+		Object.assign(this.PRESETS, resolved)
+	}
+
+	/**
+	 * Obtiene una copia de las operaciones de un preset
+	 * @param {string} type - Nombre del preset
+	 * @returns {Object} Operaciones del preset (vacío si no existe)
+	 */
+	static getPreset(type = 'default') {
+		return structuredClone(this.PRESETS[type] || this.PRESETS.default)
+	}
+
+	/**
+	 * Combina dos conjuntos de operaciones: cada operación y sus `options` se combinan
+	 * clave a clave y una operación a null en `own` elimina la de `base`. `steps` no se combina:
+	 * sustituye a los pasos y a convert/resize/compress heredados, y convert/resize/compress
+	 * sobre unos pasos heredados se aplican a ellos (ver ImagePipeline.overrideSteps)
+	 * @param {Object} base - Operaciones heredadas
+	 * @param {Object} own - Operaciones que se superponen
+	 * @returns {Object} Operaciones combinadas
+	 */
+	static mergeOperations(base = {}, own = {}) {
+		const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+		const operations = { ...base, ...own }
+
+		for (const [name, value] of Object.entries(own)) {
+			if (value === null) {
+				delete operations[name]
+			} else if (isObject(value) && isObject(base[name])) {
+				operations[name] = { ...base[name], ...value }
+				if (isObject(value.options) && isObject(base[name].options)) {
+					operations[name].options = { ...base[name].options, ...value.options }
+				}
+			}
+		}
+
+		const legacy = ['convert', 'resize', 'compress']
+
+		if (own.steps) {
+			legacy.filter(name => !(name in own)).forEach(name => delete operations[name])
+		} else if (Array.isArray(base.steps) && legacy.some(name => own[name])) {
+			legacy.forEach(name => delete operations[name])
+			operations.steps = ImagePipeline.overrideSteps(base.steps, own)
+		}
+
+		return operations
+	}
+
+	/**
+	 * Crea un optimizador para un preset
+	 * @param {string} type - Nombre del preset
+	 * @param {ImageProcessor} processor - Procesador a usar (permite escuchar sus eventos)
+	 * @returns {Object} Optimizador con el método optimize(input, output, customConfig)
+	 */
+	static createOptimizer(type = 'default', processor = new ImageProcessor()) {
+		const config = this.getPreset(type)
 
 		return {
 			processor,
 			config,
-			async optimize(inputPath, outputPath, customConfig = {}) {
+			async optimize(input, output, customConfig = {}, options = {}) {
 				const operations = { ...config, ...customConfig }
-				return await processor.process(inputPath, outputPath, operations)
+				return await processor.process(input, output, operations, options)
 			},
 		}
 	}
@@ -0,0 +1,48 @@
+import sharp from 'sharp'
+
+/**
+ * Orientación EXIF. Por defecto la imagen se gira según la etiqueta Orientation al
+ * principio de la pipeline: los píxeles quedan derechos aunque se eliminen los metadatos
+ * y resize calcula los recortes sobre la imagen tal como se ve. sharp escribe
+ * Orientation = 1 en los metadatos que se conservan (ver MetadataPolicy)
+ */
+export class Orientation {
+	// Orientaciones que giran la imagen 90° (ancho y alto se intercambian)
+	static ROTATED = new Set([5, 6, 7, 8])
+
+	/**
+	 * Aplica la auto-orientación a una pipeline de sharp
+	 * @param {sharp.Sharp} pipeline - Pipeline de sharp
+	 * @param {boolean} autoOrient - false para dejar los píxeles como están (--no-auto-orient)
+	 * @returns {sharp.Sharp}
+	 */
+	static apply(pipeline, autoOrient = true) {
+		return autoOrient === false ? pipeline : pipeline.rotate()
+	}
+
+	/**
+	 * Dimensiones de la imagen tal como sale de la pipeline
+	 * @param {string|Buffer} input - Ruta o Buffer de la imagen
+	 * @param {boolean} autoOrient - Si se aplica la auto-orientación
+	 * @returns {Promise<{width: number, height: number, orientation: number|null}>}
+	 */
+	static async getDimensions(input, autoOrient = true) {
+		return this.orient(await sharp(input).metadata(), autoOrient)
+	}
+
+	/**
+	 * Ajusta ancho y alto de unos metadatos de sharp a la orientación
+	 * @param {Object} metadata - Resultado de sharp().metadata()
+	 * @param {boolean} autoOrient - Si se aplica la auto-orientación
+	 * @returns {{width: number, height: number, orientation: number|null}}
+	 */
+	static orient({ width, height, orientation }, autoOrient = true) {
+		const rotated = autoOrient !== false && this.ROTATED.has(orientation)
+
+		return {
+			width: rotated ? height : width,
+			height: rotated ? width : height,
+			orientation: orientation ?? null,
+		}
+	}
+}
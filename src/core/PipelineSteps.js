@@ -0,0 +1,490 @@
+import { ImageConverter } from '../operations/ImageConverter.js'
+import { ImageResizer } from '../operations/ImageResizer.js'
+import { ImageCompressor } from '../operations/ImageCompressor.js'
+import { ImageWatermark } from '../operations/ImageWatermark.js'
+import { ImageText } from '../operations/ImageText.js'
+import { SizeUtils } from '../utils/SizeUtils.js'
+import { AutoFormat } from './AutoFormat.js'
+import { ContentClassifier } from './ContentClassifier.js'
+import { FocalPoint } from './FocalPoint.js'
+
+const FORMATS = ['webp', 'avif', 'jpeg', 'jpg', 'png']
+
+// Formato de salida de convert y compress: uno concreto, gif (sobre todo para animaciones)
+// o auto (el menor de los candidatos)
+const OUTPUT_FORMATS = [...FORMATS, 'gif', 'auto']
+
+const QUALITY = { type: 'integer', min: 1, max: 100 }
+const DIMENSION = { type: 'integer', min: 1, max: 10000, nullable: true }
+const OFFSET = { type: 'integer', min: 0 }
+
+// Opciones de codificación comunes a convert y compress
+const ENCODER_KEYS = {
+	formats: { type: 'array', items: { type: 'string', choices: FORMATS } },
+	compatible: { type: 'boolean' },
+	content: { type: 'string', choices: ['auto', ...ContentClassifier.TYPES] },
+	quality: QUALITY,
+	lossless: { type: 'boolean' },
+	nearLossless: { type: 'boolean' },
+	alphaQuality: QUALITY,
+	effort: { type: 'integer', min: 0, max: 10 },
+	mozjpeg: { type: 'boolean' },
+	progressive: { type: 'boolean' },
+	chromaSubsampling: { type: 'string', choices: ['4:4:4', '4:2:0'] },
+	trellisQuantisation: { type: 'boolean' },
+	overshootDeringing: { type: 'boolean' },
+	optimiseScans: { type: 'boolean' },
+	compressionLevel: { type: 'integer', min: 0, max: 9 },
+	palette: { type: 'boolean' },
+	colors: { type: 'integer', min: 2, max: 256 },
+	dither: { type: 'number', min: 0, max: 1 },
+}
+
+const RESIZE_OPTIONS = {
+	fit: { type: 'string', choices: ['cover', 'contain', 'fill', 'inside', 'outside'] },
+	position: { type: 'string', choices: FocalPoint.POSITIONS },
+	focus: { type: ['string', 'object'], nullable: true, check: value => checkFocus(value) },
+	background: { type: ['string', 'object'] },
+	withoutEnlargement: { type: 'boolean' },
+	kernel: { type: 'string', choices: ['nearest', 'cubic', 'mitchell', 'lanczos2', 'lanczos3'] },
+}
+
+const COMPRESS_KEYS = {
+	...ENCODER_KEYS,
+	format: { type: 'string', choices: OUTPUT_FORMATS },
+	maxSize: { type: ['string', 'number'], check: value => checkSize(value) },
+	minQuality: QUALITY,
+	minSsim: { type: 'number', min: 0, max: 1 },
+	allowResize: { type: 'boolean' },
+	optimizeSize: { type: 'boolean' },
+	sharpen: { type: ['boolean', 'object'] },
+}
+
+/**
+ * Registro de los pasos de una pipeline ordenada:
+ *
+ *   "steps": [
+ *     { "type": "rotate", "angle": 90 },
+ *     { "type": "crop", "left": 0, "top": 100, "width": 1600, "height": 900 },
+ *     { "type": "resize", "width": 800, "fit": "inside" },
+ *     { "type": "sharpen" },
+ *     { "type": "encode", "format": "webp", "quality": 80 }
+ *   ]
+ *
+ * Los pasos de píxeles se aplican en el orden escrito; el de codificación (encode, compress
+ * o convert) es opcional, único y siempre el último. Un tipo nuevo se añade con register()
+ */
+export class PipelineSteps {
+	/**
+	 * Esquemas comunes (formato de BatchConfig) para reutilizar en pasos y configuraciones
+	 */
+	static SCHEMAS = {
+		formats: FORMATS,
+		outputFormats: OUTPUT_FORMATS,
+		quality: QUALITY,
+		dimension: DIMENSION,
+		encoder: ENCODER_KEYS,
+		resizeOptions: RESIZE_OPTIONS,
+		compress: COMPRESS_KEYS,
+	}
+
+	/**
+	 * Orden en que sharp aplica las operaciones dentro de una misma pipeline,
+	 * sin importar el orden de las llamadas. Ver segment()
+	 */
+	static SLOTS = ['orient', 'geometry', 'grayscale', 'blur', 'sharpen', 'composite']
+
+	/**
+	 * Secuencias de pasos geométricos que sharp respeta en una sola pipeline
+	 * (recorte antes y/o después del redimensionado, volteos en ambos ejes)
+	 */
+	static GEOMETRY_CHAINS = new Set([
+		'crop,resize',
+		'resize,crop',
+		'crop,resize,crop',
+		'flip,flop',
+		'flop,flip',
+	])
+
+	static STEPS = new Map()
+
+	/**
+	 * Registra un tipo de paso
+	 * @param {string} type - Nombre del paso en las configuraciones
+	 * @param {Object} definition - Definición del paso
+	 * @param {Function} definition.apply - (pipeline, step) => pipeline de sharp
+	 * @param {string|Function} definition.slot - Posición en el orden de sharp (SLOTS) o
+	 * (step) => posición; null si no ocupa ninguna
+	 * @param {boolean} definition.encode - true si codifica la salida (solo puede ser el último)
+	 * @param {Function} definition.format - (step) => formato de salida, para los de codificación
+	 * @param {Object} definition.keys - Claves del paso (esquema de BatchConfig)
+	 * @param {Function} definition.check - (step) => mensaje de error o null (comprobaciones entre claves)
+	 * @param {Function} definition.measure - (step) => true si necesita las dimensiones de la imagen
+	 * que le llega: siempre empieza un tramo y recibe `size` { width, height } (ver ImagePipeline.prepare)
+	 * @param {Function} definition.prepare - async (step) => paso listo para apply, para los que miden:
+	 * recibe el paso con `size` y puede cargar lo que apply necesita (p. ej. el overlay escalado)
+	 * @param {boolean} definition.animated - true si se puede aplicar a cada fotograma de una animación
+	 * (ver Animation); con cualquier otro paso se conserva solo el primer fotograma
+	 * @param {Function} definition.describe - (step) => descripción de una línea
+	 */
+	static register(type, definition) {
+		if (typeof definition?.apply !== 'function') {
+			throw new Error(`El paso "${type}" necesita una función apply(pipeline, step)`)
+		}
+
+		this.STEPS.set(type, {
+			type,
+			slot: null,
+			encode: false,
+			animated: false,
+			keys: {},
+			describe: () => type,
+			...definition,
+		})
+	}
+
+	/**
+	 * Obtiene la definición de un tipo de paso
+	 * @param {string} type - Nombre del paso
+	 * @returns {Object}
+	 * @throws {Error} Si el tipo no está registrado
+	 */
+	static get(type) {
+		const definition = this.STEPS.get(type)
+		if (!definition) {
+			throw new Error(`Paso desconocido: "${type}". Disponibles: ${this.getTypes().join(', ')}`)
+		}
+		return definition
+	}
+
+	/**
+	 * Nombres de los tipos registrados
+	 * @returns {Array<string>}
+	 */
+	static getTypes() {
+		return [...this.STEPS.keys()]
+	}
+
+	/**
+	 * Describe un paso en una línea (p. ej. "resize 800xauto (inside)")
+	 * @param {Object} step - Paso { type, ... }
+	 * @returns {string}
+	 */
+	static describe(step) {
+		return this.STEPS.get(step.type)?.describe(step) ?? String(step.type)
+	}
+
+	/**
+	 * Esquema de un paso para BatchConfig (null si el tipo no existe: lo informa `type`)
+	 * @param {Object} step - Paso { type, ... }
+	 * @returns {Object|null}
+	 */
+	static getKeys(step) {
+		const definition = this.STEPS.get(step?.type)
+		const type = { type: 'string', required: true, choices: this.getTypes() }
+
+		return definition ? { type, ...definition.keys } : null
+	}
+
+	/**
+	 * Comprueba el orden de una lista de pasos: como mucho una codificación y al final
+	 * @param {Array<Object>} steps - Pasos
+	 * @returns {string|null} Mensaje de error o null si el orden es válido
+	 */
+	static checkOrder(steps) {
+		const encoders = steps
+			.map((step, index) => ({ index, definition: this.STEPS.get(step?.type) }))
+			.filter(({ definition }) => definition?.encode)
+
+		if (encoders.length > 1) {
+			return `solo puede haber una codificación (pasos ${encoders.map(({ index }) => index).join(' y ')})`
+		}
+
+		const [encoder] = encoders
+		if (encoder && encoder.index !== steps.length - 1) {
+			const next = steps[encoder.index + 1]?.type
+			return `${encoder.definition.type} (paso ${encoder.index}) debe ser el último: no se pueden aplicar ${next} ni otros pasos de píxeles después de codificar`
+		}
+
+		return null
+	}
+
+	/**
+	 * Valida una lista de pasos para usarla en una pipeline
+	 * @param {Array<Object>} steps - Pasos
+	 * @throws {Error} Si un tipo no existe, falla su comprobación o el orden no es válido
+	 */
+	static validate(steps) {
+		if (!Array.isArray(steps)) {
+			throw new Error('steps debe ser una lista de pasos { type, ... }')
+		}
+
+		steps.forEach((step, index) => {
+			const error = this.get(step?.type).check?.(step)
+			if (error) throw new Error(`steps[${index}] (${step.type}): ${error}`)
+		})
+
+		const error = this.checkOrder(steps)
+		if (error) throw new Error(`steps: ${error}`)
+	}
+
+	/**
+	 * Divide los pasos en tramos que sharp ejecuta correctamente en una sola pipeline.
+	 * sharp aplica las operaciones en un orden fijo (SLOTS), así que un paso que debería ir
+	 * antes de otro ya presente, o dos que ocupan la misma posición, abren un tramo nuevo
+	 * @param {Array<Object>} steps - Pasos validados
+	 * @param {boolean} autoOrient - Si el primer tramo empieza con la auto-orientación
+	 * @returns {Array<Array<Object>>} Tramos en orden
+	 */
+	static segment(steps, autoOrient = true) {
+		const segments = [[]]
+		let slots = autoOrient === false ? [] : ['orient']
+		let geometry = []
+
+		for (const step of steps) {
+			const definition = this.get(step.type)
+			const slot = typeof definition.slot === 'function' ? definition.slot(step) : definition.slot
+
+			const measured = definition.measure?.(step) && segments.at(-1).length > 0
+
+			if (measured || !this.fits(slots, geometry, step, slot, definition.encode)) {
+				segments.push([])
+				slots = []
+				geometry = []
+			}
+
+			segments.at(-1).push(step)
+			if (slot) slots.push(slot)
+			if (slot === 'geometry') geometry.push(step.type)
+		}
+
+		return segments
+	}
+
+	/**
+	 * Si un paso cabe en el tramo actual
+	 * @private
+	 */
+	static fits(slots, geometry, step, slot, encode) {
+		if (!slot) return true
+
+		// La codificación va siempre al final: solo importa que su posición siga libre
+		if (encode) return !slots.includes(slot)
+
+		if (slot === 'geometry') {
+			if (slots.some(used => used !== 'orient' && used !== 'geometry')) return false
+			// sharp solo hace una rotación por pipeline (la auto-orientación ya la usa)
+			if (step.type === 'rotate' && slots.includes('orient')) return false
+			return geometry.length === 0 || this.GEOMETRY_CHAINS.has([...geometry, step.type].join())
+		}
+
+		const last = slots.at(-1)
+		return !last || this.SLOTS.indexOf(slot) > this.SLOTS.indexOf(last)
+	}
+}
+
+/**
+ * @private
+ */
+function checkFocus(value) {
+	try {
+		FocalPoint.parse(value)
+		return null
+	} catch (error) {
+		return error.message
+	}
+}
+
+/**
+ * @private
+ */
+function checkSize(value) {
+	try {
+		SizeUtils.parse(value)
+		return null
+	} catch (error) {
+		return error.message
+	}
+}
+
+// Pasos de píxeles
+
+PipelineSteps.register('rotate', {
+	slot: 'geometry',
+	keys: {
+		angle: { type: 'number', required: true },
+		background: { type: ['string', 'object'] },
+	},
+	apply: (pipeline, { angle, background }) =>
+		pipeline.rotate(angle, background === undefined ? {} : { background }),
+	describe: ({ angle }) => `rotate ${angle}°`,
+})
+
+PipelineSteps.register('flip', {
+	slot: 'geometry',
+	apply: pipeline => pipeline.flip(),
+})
+
+PipelineSteps.register('flop', {
+	slot: 'geometry',
+	animated: true,
+	apply: pipeline => pipeline.flop(),
+})
+
+PipelineSteps.register('crop', {
+	slot: 'geometry',
+	animated: true,
+	keys: {
+		left: OFFSET,
+		top: OFFSET,
+		width: { type: 'integer', min: 1, required: true },
+		height: { type: 'integer', min: 1, required: true },
+	},
+	apply: (pipeline, { left = 0, top = 0, width, height }) => pipeline.extract({ left, top, width, height }),
+	describe: ({ left = 0, top = 0, width, height }) => `crop ${width}x${height}+${left}+${top}`,
+})
+
+PipelineSteps.register('resize', {
+	slot: 'geometry',
+	animated: true,
+	keys: { width: DIMENSION, height: DIMENSION, ...RESIZE_OPTIONS },
+	check: ({ width, height }) => (width == null && height == null ? 'indica width, height o ambos' : null),
+	// El recorte según el punto focal depende de las dimensiones de la imagen que llega
+	measure: ({ focus }) => Boolean(focus),
+	apply: (pipeline, { type, width = null, height = null, ...options }) =>
+		ImageResizer.applyResize(pipeline, width, height, options),
+	describe: ({ width, height, fit, position, focus }) => {
+		let framing = fit || 'cover'
+		if (focus) {
+			const { x, y } = FocalPoint.parse(focus)
+			framing += `, foco ${x},${y}`
+		} else if (position) {
+			framing += `, ${position}`
+		}
+		return `resize ${width ?? 'auto'}x${height ?? 'auto'} (${framing})`
+	},
+})
+
+PipelineSteps.register('grayscale', {
+	slot: 'grayscale',
+	animated: true,
+	apply: pipeline => pipeline.grayscale(),
+})
+
+PipelineSteps.register('blur', {
+	slot: 'blur',
+	animated: true,
+	keys: { sigma: { type: 'number', min: 0.3, max: 1000 } },
+	apply: (pipeline, { sigma }) => pipeline.blur(sigma),
+	describe: ({ sigma }) => (sigma ? `blur σ${sigma}` : 'blur'),
+})
+
+PipelineSteps.register('sharpen', {
+	slot: 'sharpen',
+	animated: true,
+	keys: { sigma: { type: 'number', min: 0.000001, max: 10 } },
+	apply: (pipeline, { sigma }) => pipeline.sharpen(sigma ? { sigma } : undefined),
+	describe: ({ sigma }) => (sigma ? `sharpen σ${sigma}` : 'sharpen'),
+})
+
+// Composición
+
+PipelineSteps.register('watermark', {
+	slot: 'composite',
+	keys: {
+		overlay: { type: 'string', required: true },
+		gravity: { type: 'string', choices: ImageWatermark.GRAVITIES },
+		margin: { type: 'integer', min: 0 },
+		scale: { type: 'number', min: 0.01, max: 1 },
+		opacity: { type: 'number', min: 0, max: 1 },
+		tile: { type: 'boolean' },
+		minWidth: { type: 'integer', min: 1 },
+		minHeight: { type: 'integer', min: 1 },
+	},
+	// La escala, la posición y el tamaño mínimo dependen de la imagen que llega
+	measure: () => true,
+	prepare: async step => ({ ...step, composites: await ImageWatermark.getComposites(step.size, step) }),
+	apply: (pipeline, { composites }) => {
+		if (!composites) throw new Error('watermark necesita ImagePipeline.prepare() antes de aplicarse')
+		return ImageWatermark.applyWatermark(pipeline, composites)
+	},
+	describe: ({ overlay, gravity = 'southeast', tile, opacity }) => {
+		let description = `watermark ${overlay} (${tile ? 'mosaico' : gravity}`
+		if (opacity !== undefined && opacity < 1) description += `, ${Math.round(opacity * 100)}%`
+		return `${description})`
+	},
+})
+
+PipelineSteps.register('text', {
+	slot: 'composite',
+	keys: {
+		text: { type: 'string', required: true },
+		font: { type: 'string' },
+		fontSize: { type: 'integer', min: 1, max: 1000 },
+		weight: { type: 'string', choices: ImageText.WEIGHTS },
+		color: { type: 'string' },
+		stroke: { type: 'string' },
+		strokeWidth: { type: 'number', min: 0 },
+		background: { type: 'string' },
+		padding: { type: 'integer', min: 0 },
+		gravity: { type: 'string', choices: ImageWatermark.GRAVITIES },
+		margin: { type: 'integer', min: 0 },
+		maxWidth: { type: 'integer', min: 1 },
+		lineHeight: { type: 'number', min: 0.5, max: 3 },
+	},
+	// El ajuste de línea y la posición dependen de la imagen que llega. Los {valores}
+	// se rellenan antes, por imagen (ver ImageText.forImage)
+	measure: () => true,
+	prepare: async step => ({ ...step, composites: await ImageText.getComposites(step.size, step) }),
+	apply: (pipeline, { composites }) => {
+		if (!composites) throw new Error('text necesita ImagePipeline.prepare() antes de aplicarse')
+		return ImageWatermark.applyWatermark(pipeline, composites)
+	},
+	describe: ({ text, gravity = 'south' }) => `text "${text}" (${gravity})`,
+})
+
+// Codificación
+
+PipelineSteps.register('convert', {
+	encode: true,
+	animated: true,
+	keys: { format: { type: 'string', required: true, choices: OUTPUT_FORMATS }, ...ENCODER_KEYS },
+	format: ({ format }) => format.toLowerCase(),
+	apply: (pipeline, { type, format, formats, compatible, content, ...options }) =>
+		ImageConverter.applyFormat(pipeline, format, options),
+	describe: ({ format, quality, content, ...step }) =>
+		`convert ${AutoFormat.describe(format, step)}${quality ? ` q${quality}` : ''}` +
+		(content ? ` contenido ${content}` : ''),
+})
+
+const compress = {
+	encode: true,
+	animated: true,
+	// optimizeSize enfoca al codificar: ocupa la posición de sharpen
+	slot: ({ optimizeSize }) => (optimizeSize === false ? null : 'sharpen'),
+	keys: COMPRESS_KEYS,
+	check: ({ maxSize, minSsim, minQuality, quality }) => {
+		if (maxSize !== undefined && minSsim !== undefined) return 'maxSize y minSsim no se pueden combinar'
+		if (minQuality !== undefined && quality !== undefined && minQuality > quality) {
+			return 'minQuality no puede ser mayor que quality'
+		}
+		return null
+	},
+	format: ({ format }) => (format || 'webp').toLowerCase(),
+	apply: (pipeline, { type, formats, compatible, content, ...options }) =>
+		ImageCompressor.applyCompression(pipeline, {
+			...options,
+			format: (options.format || 'webp').toLowerCase(),
+		}),
+	describe: ({ type, format, quality, maxSize, minSsim, ...step }) => {
+		let description = `${type} ${AutoFormat.describe((format || 'webp').toLowerCase(), step)}`
+		if (quality) description += ` q${quality}`
+		if (maxSize) description += ` ≤ ${maxSize}`
+		if (minSsim) description += ` SSIM ≥ ${minSsim}`
+		if (step.content) description += ` contenido ${step.content}`
+		return description
+	},
+}
+
+PipelineSteps.register('compress', compress)
+PipelineSteps.register('encode', compress)
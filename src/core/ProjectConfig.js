@@ -0,0 +1,145 @@
+import { existsSync, readFileSync } from 'fs'
+import { basename, dirname, extname, join, resolve } from 'path'
+import { pathToFileURL } from 'url'
+import YAML from 'yaml'
+import { BatchConfig } from './BatchConfig.js'
+import { OptimizerFactory } from './OptimizerFactory.js'
+
+/**
+ * Configuración del proyecto, buscada desde el directorio de trabajo hacia arriba.
+ * El primer archivo encontrado gana:
+ *
+ *   {
+ *     "presets": {
+ *       "pdp-zoom": { "extends": "web", "resize": { "width": 2400, "height": 2400, "options": { "fit": "inside" } } },
+ *       "email-banner": { "resize": { "width": 600 }, "convert": { "format": "jpeg", "options": { "quality": 80 } } },
+ *       "web": { "extends": "web", "compress": { "quality": 75 } }
+ *     },
+ *     "options": { "concurrency": 4, "metadata": "no-gps" }
+ *   }
+ *
+ * Un preset con `extends` hereda las operaciones de otro (ver OptimizerFactory.mergeOperations);
+ * si redefine uno integrado sin `extends`, lo sustituye. `options` son valores por defecto
+ * de las opciones del CLI (los argumentos de la línea de comandos mandan)
+ */
+export class ProjectConfig {
+	static FILE_NAMES = ['.imgoptrc.json', '.imgoptrc.yaml', '.imgoptrc.yml', 'imgopt.config.js']
+
+	/**
+	 * Busca el archivo de configuración desde un directorio hacia arriba
+	 * @param {string} startDir - Directorio inicial (por defecto, el de trabajo)
+	 * @returns {string|null} Ruta del archivo o null si no hay ninguno
+	 */
+	static find(startDir = process.cwd()) {
+		let dir = resolve(startDir)
+
+		while (true) {
+			for (const name of this.FILE_NAMES) {
+				const path = join(dir, name)
+				if (existsSync(path)) return path
+			}
+
+			const parent = dirname(dir)
+			if (parent === dir) return null
+			dir = parent
+		}
+	}
+
+	/**
+	 * Busca, lee y valida la configuración, y registra sus presets en OptimizerFactory
+	 * @param {string} startDir - Directorio inicial de la búsqueda
+	 * @returns {Promise<{path: string|null, presets: Object, options: Object, warnings: Array<string>}>}
+	 * @throws {Error} Si el archivo no se puede leer o no es válido (indica archivo y clave)
+	 */
+	static async load(startDir = process.cwd()) {
+		const path = this.find(startDir)
+		if (!path) {
+			return { path: null, presets: {}, options: {}, warnings: [] }
+		}
+
+		const config = await this.read(path)
+		const { presets, options, warnings } = this.validate(config, basename(path))
+
+		try {
+			OptimizerFactory.definePresets(presets)
+		} catch (error) {
+			throw new Error(`Configuración no válida en ${basename(path)}: ${error.message}`)
+		}
+
+		return { path, presets, options, warnings }
+	}
+
+	/**
+	 * Lee el archivo según su extensión (JSON, YAML o módulo JS con export default)
+	 * @param {string} path - Ruta del archivo
+	 * @returns {Promise<Object>}
+	 */
+	static async read(path) {
+		try {
+			if (extname(path) === '.js') {
+				const module = await import(pathToFileURL(path).href)
+				return module.default
+			}
+
+			const content = readFileSync(path, 'utf8')
+			return extname(path) === '.json' ? JSON.parse(content) : YAML.parse(content)
+		} catch (error) {
+			throw new Error(`No se puede leer la configuración ${path}: ${error.message}`)
+		}
+	}
+
+	/**
+	 * Valida la configuración: presets (mismo esquema de operaciones que batch) y opciones
+	 * @param {Object} config - Contenido del archivo
+	 * @param {string} file - Nombre del archivo para los mensajes
+	 * @returns {{presets: Object, options: Object, warnings: Array<string>}}
+	 * @throws {Error} Con todos los errores encontrados
+	 */
+	static validate(config, file) {
+		const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+		const errors = []
+		const warnings = []
+
+		if (!isObject(config)) {
+			throw new Error(`${file}: la configuración debe ser un objeto`)
+		}
+
+		for (const key of Object.keys(config)) {
+			if (key !== 'presets' && key !== 'options') {
+				warnings.push(`${file}: ${key}: clave desconocida, se ignora (usa presets u options)`)
+			}
+		}
+
+		const presets = config.presets ?? {}
+		const options = config.options ?? {}
+
+		if (!isObject(presets)) errors.push('presets: debe ser un objeto { nombre: operaciones }')
+		if (!isObject(options)) errors.push('options: debe ser un objeto { opción: valor }')
+
+		if (isObject(presets)) {
+			for (const [name, preset] of Object.entries(presets)) {
+				if (!isObject(preset)) {
+					errors.push(`presets.${name}: debe ser un objeto de operaciones`)
+					continue
+				}
+
+				const { extends: base, ...operations } = preset
+				if (base !== undefined && typeof base !== 'string') {
+					errors.push(`presets.${name}.extends: debe ser el nombre de otro preset`)
+				}
+
+				const validation = BatchConfig.validateOperations(operations, `presets.${name}`)
+				errors.push(...validation.errors)
+				warnings.push(...validation.warnings.map(warning => `${file}: ${warning}`))
+			}
+		}
+
+		if (errors.length > 0) {
+			throw new Error(
+				`Configuración no válida en ${file}:\n` + errors.map(error => `  - ${error}`).join('\n'),
+			)
+		}
+
+		return { presets, options, warnings }
+	}
+}
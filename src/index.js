@@ -3,21 +3,174 @@
 import yargs from 'yargs'
 import { hideBin } from 'yargs/helpers'
 import { ImageProcessor } from './core/ImageProcessor.js'
+import { ImagePipeline } from './core/ImagePipeline.js'
+import { AutoFormat } from './core/AutoFormat.js'
+import { ContentClassifier } from './core/ContentClassifier.js'
+import { FocalPoint } from './core/FocalPoint.js'
 import { OptimizerFactory } from './core/OptimizerFactory.js'
+import { FolderWatcher } from './core/FolderWatcher.js'
 import { ImageValidator } from './core/ImageValidator.js'
+import { ImageInspector } from './core/ImageInspector.js'
+import { BatchConfig } from './core/BatchConfig.js'
+import { ProjectConfig } from './core/ProjectConfig.js'
 import { Logger } from './utils/Logger.js'
 import { ImageConverter } from './operations/ImageConverter.js'
 import { ImageResizer } from './operations/ImageResizer.js'
 import { ImageCompressor } from './operations/ImageCompressor.js'
+import { ImageWatermark } from './operations/ImageWatermark.js'
+import { ImageText } from './operations/ImageText.js'
+import { SrcsetGenerator } from './operations/SrcsetGenerator.js'
+import { SpriteGenerator } from './operations/SpriteGenerator.js'
+import { IconGenerator } from './operations/IconGenerator.js'
 import { FileManager } from './utils/fileManager.js'
 import { PathUtils } from './utils/PathUtils.js'
-import { basename } from 'path'
+import { WorkerPool } from './utils/WorkerPool.js'
+import { SizeUtils } from './utils/SizeUtils.js'
+import { BuildCache } from './utils/BuildCache.js'
+import { ExecutionPlan } from './core/ExecutionPlan.js'
+import { MetadataPolicy } from './core/MetadataPolicy.js'
+import { RunReport } from './utils/RunReport.js'
+import { basename, join } from 'path'
+import { existsSync, statSync } from 'fs'
+import { performance } from 'perf_hooks'
 
 const processor = new ImageProcessor()
 const fileManager = new FileManager()
 
+// Configuración del proyecto (.imgoptrc.json, .imgoptrc.yaml o imgopt.config.js):
+// presets propios y valores por defecto de las opciones
+let project
+try {
+	project = await ProjectConfig.load()
+} catch (error) {
+	Logger.error(`Error: ${error.message}`)
+	process.exit(1)
+}
+project.warnings.forEach(warning => Logger.warn(warning))
+
+// Informe de --report (se escribe al salir del proceso)
+let report = null
+
+// Imágenes procesadas en paralelo (directorios y lotes)
+const CONCURRENCY_OPTION = {
+	alias: 'c',
+	describe: 'Número de imágenes procesadas en paralelo',
+	type: 'number',
+	default: WorkerPool.CPU_COUNT,
+}
+
+// Calidad por similitud perceptual (compress y optimize)
+const MIN_SSIM_OPTION = {
+	describe: 'Similitud mínima con el original (0-1, p. ej. 0.98): elige la menor calidad que la cumple',
+	type: 'number',
+}
+
+// Restricciones de --format auto (convert, compress y optimize, ver AutoFormat)
+const AUTO_FORMAT_OPTIONS = {
+	formats: {
+		describe: `Formatos candidatos de --format auto (por defecto ${AutoFormat.CANDIDATES.join(',')})`,
+		type: 'string',
+		coerce: value => {
+			const formats = parseList(value).map(format => format.toLowerCase())
+			const invalid = formats.filter(format => ![...AutoFormat.FORMATS, 'jpg'].includes(format))
+			if (invalid.length > 0) {
+				throw new Error(
+					`Formatos no válidos: ${invalid.join(', ')}. Opciones: ${AutoFormat.FORMATS.join(', ')}`,
+				)
+			}
+			return formats
+		},
+	},
+	compatible: {
+		describe: 'Con --format auto, solo formatos que abre cualquier programa (jpeg o png)',
+		type: 'boolean',
+	},
+}
+
+// Codificación según el tipo de contenido (convert, compress y optimize, ver ContentClassifier)
+const CONTENT_OPTION = {
+	describe:
+		'Ajustar la codificación al contenido: auto (clasificar cada imagen) o forzar photo, graphic o lineart',
+	choices: ['auto', ...ContentClassifier.TYPES],
+}
+
+// Encuadre de los recortes de cover (resize y optimize, ver FocalPoint)
+const FRAMING_OPTIONS = {
+	position: {
+		describe: 'Encuadre de los recortes de cover: attention, entropy o una gravedad (north, southeast…)',
+		choices: FocalPoint.POSITIONS,
+	},
+	focus: {
+		describe: 'Punto focal x,y entre 0 y 1 (p. ej. 0.3,0.4) que debe quedar dentro del recorte',
+		type: 'string',
+		coerce: value => FocalPoint.parse(value),
+	},
+	'focus-map': {
+		describe: 'JSON { "imagen": "x,y" | posición } con el encuadre de cada imagen (manda sobre --focus)',
+		type: 'string',
+		coerce: value => FocalPoint.loadMap(value),
+	},
+}
+
+// Valores de los textos ({title} → --value title="…"), para text y los presets con textos
+const VALUE_OPTION = {
+	describe: 'Valor de un {marcador} de los textos, como clave=valor (repetible)',
+	type: 'string',
+	array: true,
+	coerce: values =>
+		Object.fromEntries(
+			values.map(entry => {
+				const index = String(entry).indexOf('=')
+				if (index <= 0)
+					throw new Error(`Valor no válido: ${entry}. Usa clave=valor (p. ej. title="Oferta")`)
+				return [entry.slice(0, index).trim(), entry.slice(index + 1)]
+			}),
+		),
+}
+
+// Builds incrementales en directorios (ver BuildCache)
+const FORCE_OPTION = {
+	describe:
+		'Reprocesar todas las imágenes aunque no hayan cambiado (ignora la caché del directorio de salida)',
+	type: 'boolean',
+	default: false,
+}
+
+// Opciones compartidas por los comandos que aceptan directorios
+const DIRECTORY_OPTIONS = {
+	recursive: {
+		alias: 'r',
+		describe: 'Buscar imágenes recursivamente en subdirectorios',
+		type: 'boolean',
+		default: false,
+	},
+	'max-depth': {
+		describe: 'Niveles máximos de subdirectorios a recorrer con --recursive',
+		type: 'number',
+	},
+	symlinks: {
+		describe: 'Enlaces simbólicos: skip (ignorar), files (solo archivos), follow (archivos y directorios)',
+		choices: FileManager.SYMLINK_POLICIES,
+		default: 'files',
+	},
+	concurrency: CONCURRENCY_OPTION,
+}
+
+// Extrae las opciones de búsqueda en directorios desde argv
+function getScanOptions(argv) {
+	return {
+		recursive: argv.recursive,
+		maxDepth: argv.maxDepth,
+		symlinks: argv.symlinks,
+	}
+}
+
 // Handler común para operaciones
 async function handleOperation(operation, argv) {
+	if (argv.dryRun) {
+		return await planOperation(operation, argv)
+	}
+
 	const isDirectory = await fileManager.isDirectory(argv.input)
 
 	if (isDirectory) {
@@ -39,9 +192,7 @@ async function handleFileOperation(operation, argv) {
 
 	switch (operation) {
 		case 'convert':
-			result = await ImageConverter.convert(argv.input, argv.output, argv.format, {
-				quality: argv.quality,
-			})
+			result = await trackOperation('convert', argv.input, argv.output, argv, { quality: argv.quality })
 			break
 
 		case 'resize':
@@ -50,9 +201,15 @@ async function handleFileOperation(operation, argv) {
 				throw new Error(dimValidation.error)
 			}
 
-			result = await ImageResizer.resize(argv.input, argv.output, argv.width, argv.height, {
-				fit: argv.fit,
-			})
+			result = await trackFile(argv.input, argv.output, () =>
+				ImageResizer.resize(argv.input, argv.output, argv.width, argv.height, {
+					fit: argv.fit,
+					...getFraming(argv, argv.input),
+					metadata: argv.metadata,
+					autoOrient: argv.autoOrient,
+					firstFrame: argv.firstFrame,
+				}),
+			)
 			break
 
 		case 'compress':
@@ -61,27 +218,41 @@ async function handleFileOperation(operation, argv) {
 				throw new Error(qualityValidation.error)
 			}
 
-			result = await ImageCompressor.compress(argv.input, argv.output, {
-				quality: argv.quality,
-				format: argv.format,
-			})
+			result = await trackOperation('compress', argv.input, argv.output, argv)
+			break
+
+		case 'watermark':
+			result = await trackFile(argv.input, argv.output, () =>
+				ImageWatermark.watermark(argv.input, argv.output, getWatermarkOptions(argv)),
+			)
+			break
+
+		case 'text':
+			result = await trackFile(argv.input, argv.output, () =>
+				ImageText.text(argv.input, argv.output, getTextOptions(argv)),
+			)
 			break
 	}
 
-	Logger.success(`Operación ${operation} completada: ${argv.output}`)
+	// Con --format auto la salida lleva la extensión del formato elegido
+	const output = typeof result?.output === 'string' ? result.output : argv.output
+	Logger.success(`Operación ${operation} completada: ${output}`)
+
+	// ImageProcessor ya mostró las estadísticas
+	if (usesProcessor(operation, argv)) return
 
 	const fs = await import('fs')
-	const stats = fs.statSync(argv.output)
-	const format = PathUtils.getExtension(argv.output)
+	const stats = fs.statSync(output)
+	const format = PathUtils.getExtension(output)
 	const inputStats = fs.statSync(argv.input)
 
-	Logger.stats(inputStats.size, stats.size, format)
+	Logger.stats(inputStats.size, stats.size, format, { quality: result?.quality, ssim: result?.ssim })
 }
 
 async function handleDirectoryOperation(operation, argv) {
 	Logger.header(`${operation.toUpperCase()} DE DIRECTORIO`)
 
-	const images = await fileManager.getImagesFromDirectory(argv.input)
+	const images = await fileManager.getImagesFromDirectory(argv.input, getScanOptions(argv))
 
 	if (images.length === 0) {
 		throw new Error(`No se encontraron imágenes en: ${argv.input}`)
@@ -92,34 +263,626 @@ async function handleDirectoryOperation(operation, argv) {
 	// Crear directorio de salida si no existe
 	await fileManager.ensureDirectoryExists(argv.output)
 
-	for (const image of images) {
-		try {
-			const outputPath = await fileManager.generateOutputPath(image.path, argv.output, operation, argv)
+	const cache = await BuildCache.open(argv.output, { force: argv.force })
+	const fingerprint = getOperationFingerprint(operation, argv)
 
-			switch (operation) {
-				case 'convert':
-					await ImageConverter.convert(image.path, outputPath, argv.format, { quality: argv.quality })
-					break
+	const total = images.length
+	let completed = 0
+	let skipped = 0
+	let failed = 0
 
-				case 'resize':
-					await ImageResizer.resize(image.path, outputPath, argv.width, argv.height, { fit: argv.fit })
-					break
+	try {
+		await WorkerPool.map(images, async image => {
+			try {
+				const outputPath = await fileManager.generateOutputPath(image.path, argv.output, operation, {
+					...argv,
+					relativeDir: image.relativeDir,
+				})
 
-				case 'compress':
-					await ImageCompressor.compress(image.path, outputPath, {
-						quality: argv.quality,
-						format: argv.format,
-					})
-					break
+				const run = await cache.run(image.path, outputPath, fingerprint, () =>
+					trackOperation(operation, image.path, outputPath, argv, {
+						quality: operation === 'convert' ? argv.quality : undefined,
+					}),
+				)
+
+				if (run.skipped) {
+					report?.add({ input: image.path, output: run.output, status: 'skipped' })
+					skipped++
+					Logger.info(`[${++completed}/${total}] ${image.relativePath} sin cambios`)
+				} else {
+					Logger.success(
+						`[${++completed}/${total}] ${image.relativePath} → ${PathUtils.getBaseName(run.output)}`,
+					)
+				}
+			} catch (error) {
+				failed++
+				Logger.error(`[${++completed}/${total}] ${image.relativePath}: ${error.message}`)
 			}
+		})
+	} finally {
+		await cache.save()
+	}
+
+	Logger.success(`Procesadas ${total - skipped - failed} imágenes en ${argv.output}`)
+	if (skipped > 0) {
+		Logger.info(`${skipped} imágenes sin cambios (usa --force para reprocesarlas)`)
+	}
+	if (failed > 0) {
+		Logger.warn(`${failed} imágenes con errores`)
+	}
+}
+
+// --dry-run de convert, resize y compress
+async function planOperation(operation, argv) {
+	await showPlan(operation.toUpperCase(), async plan => {
+		if (operation === 'resize') {
+			const validation = ImageValidator.validateDimensions(argv.width, argv.height)
+			if (!validation.isValid) plan.fail(validation.error)
+		}
+
+		if (operation === 'compress') {
+			const validation = ImageValidator.validateQuality(argv.quality)
+			if (!validation.isValid) plan.fail(validation.error)
+		}
+
+		if (operation === 'watermark' && !existsSync(argv.overlay)) {
+			plan.fail(`No existe el overlay: ${argv.overlay}`)
+		}
+
+		const isDirectory = await fileManager.isDirectory(argv.input)
+
+		await plan.addInput(argv.input, argv.output, {
+			operation,
+			operations: getCommandOperations(operation, argv),
+			pathOptions: argv,
+			scanOptions: getScanOptions(argv),
+			cache: isDirectory
+				? {
+						cache: await BuildCache.open(argv.output, { force: argv.force }),
+						fingerprint: getOperationFingerprint(operation, argv),
+					}
+				: null,
+		})
+	})
+}
 
-			Logger.success(`${image.name} → ${PathUtils.getBaseName(outputPath)}`)
+// --dry-run: resuelve lo que haría el comando, lo muestra como tabla y no escribe nada
+async function showPlan(title, build) {
+	const plan = new ExecutionPlan()
+
+	await build(plan)
+	await plan.verify()
+
+	Logger.header(`PLAN (--dry-run): ${title}`)
+	plan.print()
+
+	if (plan.hasErrors()) {
+		process.exitCode = 1
+	}
+}
+
+async function handleSrcset(argv) {
+	const options = {
+		widths: argv.widths,
+		formats: argv.formats,
+		quality: argv.quality,
+		sizes: argv.sizes,
+		baseUrl: argv.baseUrl,
+		html: argv.html,
+		alt: argv.alt,
+		metadata: argv.metadata,
+		autoOrient: argv.autoOrient,
+		firstFrame: argv.firstFrame,
+	}
+
+	if (argv.dryRun) {
+		return await showPlan('SRCSET', plan => planSrcset(plan, argv, options))
+	}
+
+	Logger.header('GENERACIÓN DE SRCSET')
+
+	if (!(await fileManager.isDirectory(argv.input))) {
+		const validation = ImageValidator.validate(argv.input)
+		if (!validation.isValid) {
+			throw new Error(validation.error)
+		}
+
+		await generateSrcset(argv.input, argv.output, options)
+		return
+	}
+
+	const images = await fileManager.getImagesFromDirectory(argv.input, getScanOptions(argv))
+
+	if (images.length === 0) {
+		throw new Error(`No se encontraron imágenes en: ${argv.input}`)
+	}
+
+	const total = images.length
+	let completed = 0
+	let failed = 0
+
+	await WorkerPool.map(images, async image => {
+		try {
+			await generateSrcset(image.path, join(argv.output, image.relativeDir), options)
+			Logger.success(`[${++completed}/${total}] ${image.relativePath}`)
+		} catch (error) {
+			failed++
+			Logger.error(`[${++completed}/${total}] ${image.relativePath}: ${error.message}`)
+		}
+	})
+
+	Logger.success(`Procesadas ${total - failed} imágenes en ${argv.output}`)
+	if (failed > 0) {
+		Logger.warn(`${failed} imágenes con errores`)
+	}
+}
+
+// Genera un srcset y, con --report, lo registra como una fila: tamaño total de
+// las variantes y dimensiones de la mayor
+async function generateSrcset(inputPath, outputDir, options) {
+	if (!report) {
+		return await SrcsetGenerator.generate(inputPath, outputDir, options)
+	}
+
+	const started = performance.now()
+	const output = join(outputDir, `${PathUtils.getBaseName(inputPath)}.srcset.json`)
+	const originalSize = statSync(inputPath).size
+
+	try {
+		const manifest = await SrcsetGenerator.generate(inputPath, outputDir, options)
+		const variants = Object.values(manifest.formats).flat()
+
+		report.add({
+			input: inputPath,
+			output,
+			status: 'ok',
+			original: { size: originalSize, width: manifest.width, height: manifest.height },
+			final: {
+				size: variants.reduce((sum, variant) => sum + variant.size, 0),
+				width: manifest.fallback.width,
+				height: manifest.fallback.height,
+			},
+			format: Object.keys(manifest.formats).join('+'),
+			quality: options.quality,
+			durationMs: performance.now() - started,
+		})
+
+		return manifest
+	} catch (error) {
+		report.add({
+			input: inputPath,
+			output,
+			status: 'error',
+			original: { size: originalSize },
+			durationMs: performance.now() - started,
+			error: error.message,
+		})
+		throw error
+	}
+}
+
+// --dry-run de srcset: una fila por variante, manifest y <picture>
+async function planSrcset(plan, argv, options) {
+	const isDirectory = await fileManager.isDirectory(argv.input)
+	let sources = [{ path: argv.input, outputDir: argv.output }]
+
+	if (isDirectory) {
+		const images = await fileManager.getImagesFromDirectory(argv.input, {
+			...getScanOptions(argv),
+			onInvalid: (path, error) => plan.add({ source: path, error }),
+		})
+		if (images.length === 0) {
+			plan.fail(`No se encontraron imágenes en: ${argv.input}`)
+		}
+		sources = images.map(image => ({ path: image.path, outputDir: join(argv.output, image.relativeDir) }))
+	}
+
+	for (const source of sources) {
+		const validation = ImageValidator.validate(source.path)
+		if (!validation.isValid) {
+			plan.add({ source: source.path, error: validation.error })
+			continue
+		}
+
+		try {
+			const files = await SrcsetGenerator.plan(source.path, source.outputDir, options)
+			for (const file of files) {
+				plan.add({
+					source: source.path,
+					destination: file.path,
+					operations:
+						file.kind === 'variant'
+							? ExecutionPlan.describeOperations({
+									resize: { width: file.width, height: null, options: { fit: 'inside' } },
+									convert: { format: file.format, options: { quality: options.quality } },
+								})
+							: { manifest: 'manifest JSON', html: 'elemento <picture>' }[file.kind],
+					decode: false,
+				})
+			}
 		} catch (error) {
-			Logger.error(`${image.name}: ${error.message}`)
+			plan.add({ source: source.path, error: `No se puede leer la imagen: ${error.message}` })
+		}
+	}
+}
+
+async function handleSprite(argv) {
+	const options = {
+		padding: argv.padding,
+		powerOfTwo: argv.powerOfTwo,
+		trim: argv.trim,
+		retina: argv.retina,
+		prefix: argv.prefix,
+		scanOptions: getScanOptions(argv),
+		autoOrient: argv.autoOrient,
+	}
+
+	if (argv.dryRun) {
+		return await showPlan('SPRITE', plan => planSprite(plan, argv, options))
+	}
+
+	Logger.header('GENERACIÓN DE SPRITE')
+	await SpriteGenerator.generate(argv.input, argv.output, options)
+}
+
+// --dry-run de sprite: una fila por archivo escrito (atlas, atlas 2x, mapa JSON y CSS)
+async function planSprite(plan, argv, options) {
+	try {
+		const { images, files } = await SpriteGenerator.plan(argv.input, argv.output, options)
+		const layout = [
+			`${images.length} imágenes`,
+			`padding ${options.padding}`,
+			options.powerOfTwo && 'potencia de 2',
+			options.trim && 'recorte',
+		]
+			.filter(Boolean)
+			.join(', ')
+
+		for (const file of files) {
+			plan.add({
+				source: argv.input,
+				destination: file.path,
+				operations: {
+					image: `sprite (${layout})`,
+					image2x: 'sprite 2x',
+					json: 'mapa JSON',
+					css: `CSS (.${options.prefix}-*)`,
+				}[file.kind],
+				decode: false,
+			})
+		}
+	} catch (error) {
+		plan.fail(error.message)
+	}
+}
+
+async function handleIcons(argv) {
+	const validation = ImageValidator.validate(argv.source)
+	const options = {
+		background: argv.background,
+		padding: argv.padding,
+		themeColor: argv.themeColor,
+		name: argv.name,
+		shortName: argv.shortName,
+		baseUrl: argv.baseUrl,
+		autoOrient: argv.autoOrient,
+	}
+
+	if (argv.dryRun) {
+		return await showPlan('ICONOS', plan => {
+			for (const file of IconGenerator.plan(argv.outdir)) {
+				plan.add({
+					source: argv.source,
+					destination: file.path,
+					operations: {
+						favicon: `favicon ${file.size}px`,
+						apple: `apple-touch-icon ${file.size}px sobre ${argv.background}`,
+						android: `android ${file.size}px`,
+						maskable: `maskable ${file.size}px, margen ${argv.padding * 100}% sobre ${argv.background}`,
+						ico: `ICO ${IconGenerator.ICO_SIZES.join(', ')}px`,
+						manifest: 'web manifest',
+						html: 'etiquetas <link>',
+					}[file.kind],
+					error: validation.error,
+				})
+			}
+		})
+	}
+
+	if (!validation.isValid) {
+		throw new Error(validation.error)
+	}
+
+	Logger.header('GENERACIÓN DE ICONOS')
+	const { html } = await IconGenerator.generate(argv.source, argv.outdir, options)
+
+	Logger.info('Etiquetas para el <head>:')
+	console.log(html)
+}
+
+// Comando info: solo lee las imágenes; con --json imprime únicamente el JSON (un objeto
+// por archivo, o un array si la entrada es un directorio)
+async function handleInfo(argv) {
+	const isDirectory = await fileManager.isDirectory(argv.input)
+	const failures = []
+	let paths = [argv.input]
+
+	const silent = Logger.silent
+	Logger.silent = silent || argv.json
+
+	let results
+	try {
+		if (isDirectory) {
+			const images = await fileManager.getImagesFromDirectory(argv.input, {
+				...getScanOptions(argv),
+				onInvalid: (path, error) => failures.push({ path, error }),
+			})
+			if (images.length === 0 && failures.length === 0) {
+				throw new Error(`No se encontraron imágenes en: ${argv.input}`)
+			}
+			paths = images.map(image => image.path)
+		} else {
+			const validation = ImageValidator.validate(argv.input)
+			if (!validation.isValid) {
+				throw new Error(validation.error)
+			}
+		}
+
+		results = await WorkerPool.map(paths, async path => {
+			try {
+				return await ImageInspector.inspect(path)
+			} catch (error) {
+				return { path, error: `No se puede leer la imagen: ${error.message}` }
+			}
+		})
+	} finally {
+		Logger.silent = silent
+	}
+
+	results.push(...failures)
+	if (results.some(result => result.error)) {
+		process.exitCode = 1
+	}
+
+	if (argv.json) {
+		console.log(JSON.stringify(isDirectory ? results : results[0], null, 2))
+		return
+	}
+
+	Logger.header(isDirectory ? `INFORMACIÓN DE ${results.length} IMÁGENES` : 'INFORMACIÓN DE IMAGEN')
+
+	results.forEach((result, index) => {
+		if (index > 0) Logger.divider()
+
+		if (result.error) {
+			Logger.error(`${result.path}: ${result.error}`)
+		} else {
+			ImageInspector.print(result)
+		}
+	})
+}
+
+// Opciones de compresión desde argv (--max-size y --min-ssim activan la búsqueda de calidad)
+function getCompressOptions(argv) {
+	return {
+		quality: argv.quality,
+		format: argv.format,
+		maxSize: argv.maxSize,
+		minSsim: argv.minSsim,
+		minQuality: argv.minQuality,
+		allowResize: argv.allowResize,
+		formats: argv.formats,
+		compatible: argv.compatible,
+		content: argv.content,
+		metadata: argv.metadata,
+		autoOrient: argv.autoOrient,
+		firstFrame: argv.firstFrame,
+	}
+}
+
+// Opciones de marca de agua desde argv
+function getWatermarkOptions(argv) {
+	return {
+		overlay: argv.overlay,
+		gravity: argv.gravity,
+		margin: argv.margin,
+		scale: argv.scale,
+		opacity: argv.opacity,
+		tile: argv.tile,
+		minWidth: argv.minWidth,
+		minHeight: argv.minHeight,
+		metadata: argv.metadata,
+		autoOrient: argv.autoOrient,
+	}
+}
+
+// Opciones de texto desde argv
+function getTextOptions(argv) {
+	return {
+		text: argv.text,
+		font: argv.font,
+		fontSize: argv.fontSize,
+		weight: argv.weight,
+		color: argv.color,
+		stroke: argv.stroke,
+		strokeWidth: argv.strokeWidth,
+		background: argv.background,
+		padding: argv.padding,
+		gravity: argv.gravity,
+		margin: argv.margin,
+		maxWidth: argv.maxWidth,
+		lineHeight: argv.lineHeight,
+		values: argv.value,
+		metadata: argv.metadata,
+		autoOrient: argv.autoOrient,
+	}
+}
+
+// Aplica convert, resize, compress, watermark o text a un archivo (o a cada uno de un directorio)
+function runOperation(operation, inputPath, outputPath, argv) {
+	if (usesProcessor(operation, argv)) {
+		return processor.process(inputPath, outputPath, getCommandOperations(operation, argv))
+	}
+
+	switch (operation) {
+		case 'convert':
+			return ImageConverter.convert(inputPath, outputPath, argv.format, {
+				quality: argv.quality,
+				metadata: argv.metadata,
+				autoOrient: argv.autoOrient,
+				firstFrame: argv.firstFrame,
+			})
+		case 'resize':
+			return ImageResizer.resize(inputPath, outputPath, argv.width, argv.height, {
+				fit: argv.fit,
+				...getFraming(argv, inputPath),
+				metadata: argv.metadata,
+				autoOrient: argv.autoOrient,
+				firstFrame: argv.firstFrame,
+			})
+		case 'compress':
+			return ImageCompressor.compress(inputPath, outputPath, getCompressOptions(argv))
+		case 'watermark':
+			return ImageWatermark.watermark(inputPath, outputPath, getWatermarkOptions(argv))
+		case 'text':
+			return ImageText.text(inputPath, outputPath, getTextOptions(argv))
+	}
+}
+
+// Encuadre de resize para una imagen: el suyo en --focus-map o, si no aparece, --position y --focus
+function getFraming(argv, inputPath) {
+	return (
+		FocalPoint.lookup(argv.focusMap, inputPath) ?? { position: argv.position, focus: argv.focus ?? null }
+	)
+}
+
+// --format auto (prueba los candidatos y devuelve la salida en result.output) y --content (clasifica
+// la imagen antes de codificarla) pasan por ImageProcessor
+function usesProcessor(operation, argv) {
+	return (
+		['convert', 'compress'].includes(operation) && (AutoFormat.isAuto(argv.format) || Boolean(argv.content))
+	)
+}
+
+// runOperation registrada en el informe; ImageProcessor ya informa de sus archivos (RunReport.attach)
+function trackOperation(operation, input, output, argv, defaults) {
+	const task = () => runOperation(operation, input, output, argv)
+	return usesProcessor(operation, argv) ? task() : trackFile(input, output, task, defaults)
+}
+
+// Ejecuta una tarea de archivo registrándola en el informe si hay --report
+function trackFile(input, output, task, defaults) {
+	return report ? report.track(input, output, task, defaults) : task()
+}
+
+// Operaciones equivalentes a convert, resize y compress (para el plan de --dry-run)
+function getCommandOperations(operation, argv) {
+	switch (operation) {
+		case 'convert':
+			return {
+				convert: {
+					format: argv.format,
+					options: {
+						quality: argv.quality,
+						formats: argv.formats,
+						compatible: argv.compatible,
+						content: argv.content,
+					},
+				},
+				metadata: argv.metadata,
+				autoOrient: argv.autoOrient,
+				firstFrame: argv.firstFrame,
+			}
+		case 'resize':
+			return {
+				resize: {
+					width: argv.width,
+					height: argv.height,
+					options: { fit: argv.fit, position: argv.position, focus: argv.focus ?? null },
+				},
+				focusMap: argv.focusMap,
+				metadata: argv.metadata,
+				autoOrient: argv.autoOrient,
+				firstFrame: argv.firstFrame,
+			}
+		case 'compress':
+			return {
+				compress: getCompressOptions(argv),
+				metadata: argv.metadata,
+				autoOrient: argv.autoOrient,
+				firstFrame: argv.firstFrame,
+			}
+		case 'watermark': {
+			const { metadata, autoOrient, ...options } = getWatermarkOptions(argv)
+			return { steps: [{ type: 'watermark', ...options }], metadata, autoOrient }
 		}
+		case 'text': {
+			const { metadata, autoOrient, values, ...options } = getTextOptions(argv)
+			return { steps: [{ type: 'text', ...options }], values, metadata, autoOrient }
+		}
+	}
+}
+
+// Huella de caché de convert, resize y compress en directorios (ver BuildCache)
+function getOperationFingerprint(operation, argv) {
+	const settings = {
+		convert: {
+			format: argv.format,
+			quality: argv.quality,
+			formats: argv.formats,
+			compatible: argv.compatible,
+			content: argv.content,
+		},
+		resize: {
+			width: argv.width,
+			height: argv.height,
+			fit: argv.fit,
+			position: argv.position,
+			focus: argv.focus,
+			focusMap: argv.focusMap,
+		},
+		compress: getCompressOptions(argv),
+		watermark: getWatermarkOptions(argv),
+		text: getTextOptions(argv),
+	}[operation]
+
+	// Cambiar el archivo del overlay también invalida las salidas
+	if (operation === 'watermark' && existsSync(argv.overlay)) {
+		settings.overlayModified = statSync(argv.overlay).mtimeMs
+	}
+
+	return BuildCache.fingerprint({
+		operation,
+		settings,
+		metadata: MetadataPolicy.normalize(argv.metadata),
+		autoOrient: argv.autoOrient,
+		firstFrame: argv.firstFrame,
+	})
+}
+
+// Aplica a un comando las opciones por defecto del proyecto que ese comando define
+// (p. ej. quality no existe en info): pasan por yargs, con sus alias, coerce y choices
+function withProjectOptions(builder) {
+	return yargs => {
+		const command = builder(yargs)
+		const known = command.getOptions().key
+		const kebab = key => key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)
+
+		return command.config(
+			Object.fromEntries(
+				Object.entries(project.options).filter(([key]) => key in known || kebab(key) in known),
+			),
+		)
 	}
+}
 
-	Logger.success(`Procesadas ${images.length} imágenes en ${argv.output}`)
+// Convierte "320,640,1280" (o varias apariciones de la opción) en una lista
+function parseList(value) {
+	return [value]
+		.flat()
+		.flatMap(item => String(item).split(','))
+		.map(item => item.trim())
+		.filter(Boolean)
 }
 
 // Configuración de CLI
@@ -130,12 +893,69 @@ yargs(hideBin(process.argv))
 	.alias('v', 'version')
 	.help('h')
 	.alias('h', 'help')
+	.option('dry-run', {
+		describe: 'Mostrar el plan (origen → destino, operaciones, sobrescrituras, errores) sin escribir nada',
+		type: 'boolean',
+		default: false,
+		global: true,
+	})
+	.check(argv => {
+		if (argv.concurrency !== undefined && !(Number.isInteger(argv.concurrency) && argv.concurrency > 0)) {
+			throw new Error('--concurrency debe ser un entero mayor que 0')
+		}
+		return true
+	})
+	.option('metadata', {
+		describe:
+			'Metadatos: strip (eliminar todo, por defecto), keep (conservar), icc (solo perfil de color), no-gps (sin GPS ni datos personales)',
+		choices: MetadataPolicy.POLICIES,
+		global: true,
+	})
+	.option('auto-orient', {
+		describe: 'Girar según la orientación EXIF antes de procesar (--no-auto-orient para desactivarlo)',
+		type: 'boolean',
+		default: true,
+		global: true,
+	})
+	.option('first-frame', {
+		describe:
+			'Procesar solo el primer fotograma de los GIF y WebP animados (si no, WebP y GIF conservan la animación)',
+		type: 'boolean',
+		global: true,
+	})
+	.option('report', {
+		describe: 'Guardar un informe por archivo y totales de la ejecución (.json o .csv)',
+		type: 'string',
+		global: true,
+		coerce: value => RunReport.validatePath(value),
+	})
+	.middleware(argv => WorkerPool.configure({ concurrency: argv.concurrency }))
+	.middleware(argv => {
+		if (!argv.report) return
+
+		if (argv.dryRun) {
+			Logger.warn('--report se ignora con --dry-run (no se escribe nada)')
+			return
+		}
+
+		report = new RunReport(String(argv._[0])).attach(processor)
+
+		// Al salir, también tras un error o Ctrl+C en watch
+		process.once('exit', () => {
+			try {
+				report.writeSync(argv.report)
+			} catch (error) {
+				Logger.error(`No se pudo guardar el informe: ${error.message}`)
+				process.exitCode = 1
+			}
+		})
+	})
 
 	// Comando: Convertir
 	.command({
 		command: 'convert <input> <output>',
 		describe: 'Convertir imagen(es) a otro formato',
-		builder: yargs =>
+		builder: withProjectOptions(yargs =>
 			yargs
 				.positional('input', {
 					describe: 'Ruta de la imagen de entrada (archivo o directorio)',
@@ -147,22 +967,21 @@ yargs(hideBin(process.argv))
 				})
 				.option('format', {
 					alias: 'f',
-					describe: 'Formato de salida',
-					choices: ['webp', 'avif', 'jpeg', 'png', 'jpg'],
+					describe: 'Formato de salida (auto: el menor de los candidatos, ver --formats)',
+					choices: ['webp', 'avif', 'jpeg', 'png', 'jpg', 'gif', 'auto'],
 					default: 'webp',
 				})
+				.options(AUTO_FORMAT_OPTIONS)
+				.option('content', CONTENT_OPTION)
 				.option('quality', {
 					alias: 'q',
 					describe: 'Calidad (1-100)',
 					type: 'number',
 					default: 80,
 				})
-				.option('recursive', {
-					alias: 'r',
-					describe: 'Buscar imágenes recursivamente en subdirectorios',
-					type: 'boolean',
-					default: false,
-				}),
+				.option('force', FORCE_OPTION)
+				.options(DIRECTORY_OPTIONS),
+		),
 
 		handler: async argv => {
 			try {
@@ -178,7 +997,7 @@ yargs(hideBin(process.argv))
 	.command({
 		command: 'resize <input> <output>',
 		describe: 'Redimensionar imagen(es)',
-		builder: yargs =>
+		builder: withProjectOptions(yargs =>
 			yargs
 				.positional('input', {
 					describe: 'Ruta de la imagen de entrada (archivo o directorio)',
@@ -205,12 +1024,10 @@ yargs(hideBin(process.argv))
 					choices: ['cover', 'contain', 'fill', 'inside', 'outside'],
 					default: 'cover',
 				})
-				.option('recursive', {
-					alias: 'r',
-					describe: 'Buscar imágenes recursivamente en subdirectorios',
-					type: 'boolean',
-					default: false,
-				}),
+				.options(FRAMING_OPTIONS)
+				.option('force', FORCE_OPTION)
+				.options(DIRECTORY_OPTIONS),
+		),
 
 		handler: async argv => {
 			try {
@@ -226,7 +1043,7 @@ yargs(hideBin(process.argv))
 	.command({
 		command: 'compress <input> <output>',
 		describe: 'Comprimir imagen(es) para web',
-		builder: yargs =>
+		builder: withProjectOptions(yargs =>
 			yargs
 				.positional('input', {
 					describe: 'Ruta de la imagen de entrada (archivo o directorio)',
@@ -244,16 +1061,32 @@ yargs(hideBin(process.argv))
 				})
 				.option('format', {
 					alias: 'f',
-					describe: 'Formato de salida',
-					choices: ['webp', 'avif', 'jpeg', 'png'],
+					describe: 'Formato de salida (auto: el menor de los candidatos, ver --formats)',
+					choices: ['webp', 'avif', 'jpeg', 'png', 'gif', 'auto'],
 					default: 'webp',
 				})
-				.option('recursive', {
-					alias: 'r',
-					describe: 'Buscar imágenes recursivamente en subdirectorios',
+				.options(AUTO_FORMAT_OPTIONS)
+				.option('content', CONTENT_OPTION)
+				.option('max-size', {
+					describe: 'Tamaño máximo del archivo (p. ej. 150KB); --quality pasa a ser la calidad máxima',
+					type: 'string',
+					coerce: value => SizeUtils.parse(value),
+				})
+				.option('min-quality', {
+					describe: 'Calidad mínima aceptable con --max-size',
+					type: 'number',
+					default: 30,
+				})
+				.option('allow-resize', {
+					describe: 'Con --max-size, reducir dimensiones si la calidad mínima no basta',
 					type: 'boolean',
 					default: false,
-				}),
+				})
+				.option('min-ssim', MIN_SSIM_OPTION)
+				.conflicts('max-size', 'min-ssim')
+				.option('force', FORCE_OPTION)
+				.options(DIRECTORY_OPTIONS),
+		),
 
 		handler: async argv => {
 			try {
@@ -265,11 +1098,11 @@ yargs(hideBin(process.argv))
 		},
 	})
 
-	// Comando: Optimizar (todo en uno)
+	// Comando: Marca de agua
 	.command({
-		command: 'optimize <input> <output>',
-		describe: 'Optimización completa (convert + resize + compress)',
-		builder: yargs =>
+		command: 'watermark <input> <output>',
+		describe: 'Componer un logo o marca de agua (PNG o SVG) sobre imagen(es)',
+		builder: withProjectOptions(yargs =>
 			yargs
 				.positional('input', {
 					describe: 'Ruta de la imagen de entrada (archivo o directorio)',
@@ -279,15 +1112,182 @@ yargs(hideBin(process.argv))
 					describe: 'Ruta de la imagen de salida (archivo o directorio)',
 					type: 'string',
 				})
-				.option('preset', {
-					alias: 'p',
-					describe: 'Preset de optimización',
-					choices: ['web', 'mobile', 'thumbnail', 'social', 'avif'],
-					default: 'web',
+				.option('overlay', {
+					describe: 'Imagen PNG o SVG a componer',
+					type: 'string',
+					demandOption: true,
 				})
-				.option('width', {
-					alias: 'w',
-					describe: 'Ancho máximo',
+				.option('gravity', {
+					alias: 'g',
+					describe: 'Posición del overlay',
+					choices: ImageWatermark.GRAVITIES,
+					default: 'southeast',
+				})
+				.option('margin', {
+					describe: 'Distancia al borde en píxeles (con --tile, hueco entre copias)',
+					type: 'number',
+					default: 20,
+				})
+				.option('scale', {
+					describe:
+						'Ancho del overlay respecto al de la imagen (0-1, p. ej. 0.2); sin él, su tamaño real',
+					type: 'number',
+				})
+				.option('opacity', {
+					describe: 'Opacidad del overlay (0-1)',
+					type: 'number',
+					default: 1,
+				})
+				.option('tile', {
+					describe: 'Repetir el overlay en mosaico por toda la imagen',
+					type: 'boolean',
+					default: false,
+				})
+				.option('min-width', {
+					describe: 'No marcar imágenes más estrechas (en píxeles)',
+					type: 'number',
+				})
+				.option('min-height', {
+					describe: 'No marcar imágenes más bajas (en píxeles)',
+					type: 'number',
+				})
+				.check(argv => {
+					if (argv.scale !== undefined && !(argv.scale > 0 && argv.scale <= 1)) {
+						throw new Error('--scale debe estar entre 0 y 1')
+					}
+					if (!(argv.opacity >= 0 && argv.opacity <= 1)) {
+						throw new Error('--opacity debe estar entre 0 y 1')
+					}
+					return true
+				})
+				.option('force', FORCE_OPTION)
+				.options(DIRECTORY_OPTIONS),
+		),
+
+		handler: async argv => {
+			try {
+				await handleOperation('watermark', argv)
+			} catch (error) {
+				Logger.error(`Error: ${error.message}`)
+				process.exit(1)
+			}
+		},
+	})
+
+	// Comando: Texto
+	.command({
+		command: 'text <input> <output>',
+		describe: 'Escribir un título, precio o etiqueta sobre imagen(es)',
+		builder: withProjectOptions(yargs =>
+			yargs
+				.positional('input', {
+					describe: 'Ruta de la imagen de entrada (archivo o directorio)',
+					type: 'string',
+				})
+				.positional('output', {
+					describe: 'Ruta de la imagen de salida (archivo o directorio)',
+					type: 'string',
+				})
+				.option('text', {
+					alias: 't',
+					describe: 'Texto; {clave} se sustituye por --value clave=… y {name} por el nombre del archivo',
+					type: 'string',
+					demandOption: true,
+				})
+				.option('value', VALUE_OPTION)
+				.option('font', {
+					describe: 'Familia tipográfica',
+					type: 'string',
+					default: 'sans-serif',
+				})
+				.option('font-size', {
+					describe: 'Tamaño del texto en píxeles',
+					type: 'number',
+					default: 48,
+				})
+				.option('weight', {
+					describe: 'Grosor del texto',
+					choices: ImageText.WEIGHTS,
+					default: 'normal',
+				})
+				.option('color', {
+					describe: 'Color del texto',
+					type: 'string',
+					default: '#ffffff',
+				})
+				.option('stroke', {
+					describe: 'Color del contorno de las letras',
+					type: 'string',
+				})
+				.option('stroke-width', {
+					describe: 'Grosor del contorno en píxeles (por defecto, 1/16 del tamaño)',
+					type: 'number',
+				})
+				.option('background', {
+					describe: 'Color de la caja de fondo (p. ej. "rgba(0,0,0,0.6)")',
+					type: 'string',
+				})
+				.option('padding', {
+					describe: 'Espacio entre el texto y el borde de la caja en píxeles',
+					type: 'number',
+				})
+				.option('gravity', {
+					alias: 'g',
+					describe: 'Posición del texto',
+					choices: ImageWatermark.GRAVITIES,
+					default: 'south',
+				})
+				.option('margin', {
+					describe: 'Distancia al borde de la imagen en píxeles',
+					type: 'number',
+					default: 20,
+				})
+				.option('max-width', {
+					describe: 'Ancho máximo en píxeles: las líneas más largas se parten por palabras',
+					type: 'number',
+				})
+				.option('line-height', {
+					describe: 'Interlineado respecto al tamaño',
+					type: 'number',
+					default: 1.2,
+				})
+				.option('force', FORCE_OPTION)
+				.options(DIRECTORY_OPTIONS),
+		),
+
+		handler: async argv => {
+			try {
+				await handleOperation('text', argv)
+			} catch (error) {
+				Logger.error(`Error: ${error.message}`)
+				process.exit(1)
+			}
+		},
+	})
+
+	// Comando: Optimizar (todo en uno)
+	.command({
+		command: 'optimize <input> <output>',
+		describe: 'Optimización completa (convert + resize + compress)',
+		builder: withProjectOptions(yargs =>
+			yargs
+				.positional('input', {
+					describe: 'Ruta de la imagen de entrada (archivo o directorio)',
+					type: 'string',
+				})
+				.positional('output', {
+					describe: 'Ruta de la imagen de salida (archivo o directorio)',
+					type: 'string',
+				})
+				.option('preset', {
+					alias: 'p',
+					describe: 'Preset de optimización',
+					choices: OptimizerFactory.getPresetNames(),
+					default: 'web',
+				})
+				.option('width', {
+					alias: 'w',
+					describe: 'Ancho máximo',
 					type: 'number',
 				})
 				.option('height', {
@@ -295,18 +1295,25 @@ yargs(hideBin(process.argv))
 					describe: 'Alto máximo',
 					type: 'number',
 				})
-				.option('recursive', {
-					alias: 'r',
-					describe: 'Buscar imágenes recursivamente en subdirectorios',
-					type: 'boolean',
-					default: false,
-				}),
+				.option('format', {
+					alias: 'f',
+					describe: 'Formato de salida en lugar del del preset (auto: el menor de los candidatos)',
+					choices: ['webp', 'avif', 'jpeg', 'png', 'jpg', 'gif', 'auto'],
+				})
+				.options(AUTO_FORMAT_OPTIONS)
+				.option('content', CONTENT_OPTION)
+				.option('min-ssim', MIN_SSIM_OPTION)
+				.options(FRAMING_OPTIONS)
+				.option('value', VALUE_OPTION)
+				.option('force', FORCE_OPTION)
+				.options(DIRECTORY_OPTIONS),
+		),
 
 		handler: async argv => {
 			try {
-				const optimizer = OptimizerFactory.createOptimizer(argv.preset)
+				const optimizer = OptimizerFactory.createOptimizer(argv.preset, processor)
 
-				const operations = {}
+				let operations = { autoOrient: argv.autoOrient, firstFrame: argv.firstFrame }
 
 				if (argv.width || argv.height) {
 					operations.resize = {
@@ -316,21 +1323,139 @@ yargs(hideBin(process.argv))
 					}
 				}
 
+				if (argv.minSsim) {
+					operations.compress = { ...optimizer.config.compress, minSsim: argv.minSsim }
+				}
+
+				// Formato distinto del del preset y ajuste al contenido; con compress, también en la compresión
+				if (argv.format || argv.content) {
+					const encoding = { formats: argv.formats, compatible: argv.compatible, content: argv.content }
+					const format = argv.format ?? optimizer.config.convert?.format
+
+					if (!format && !optimizer.config.steps) {
+						throw new Error(`El preset ${argv.preset} no codifica: --content necesita --format`)
+					}
+
+					operations.convert = { format, options: { ...optimizer.config.convert?.options, ...encoding } }
+
+					if (operations.compress || optimizer.config.compress) {
+						operations.compress = {
+							...optimizer.config.compress,
+							...operations.compress,
+							...(argv.format && { format: argv.format }),
+							...encoding,
+						}
+					}
+				}
+
+				if (argv.metadata) {
+					operations.metadata = argv.metadata
+				}
+
+				// Con un preset de pasos, las dimensiones, el formato y el SSIM se aplican a esos pasos
+				if (optimizer.config.steps) {
+					const { convert, resize, compress, ...rest } = operations
+					operations = {
+						...rest,
+						steps: ImagePipeline.overrideSteps(optimizer.config.steps, { convert, resize, compress }),
+					}
+				}
+
+				// Encuadre de los recortes de cover del preset (thumbnail, social...) o de --width/--height
+				if (argv.position || argv.focus) {
+					const { resize, steps } = FocalPoint.apply(
+						{ ...optimizer.config, ...operations },
+						{ position: argv.position, focus: argv.focus },
+					)
+					operations = steps ? { ...operations, steps } : { ...operations, resize }
+				}
+
+				if (argv.focusMap) {
+					operations.focusMap = argv.focusMap
+				}
+
+				// Valores de los textos del preset (p. ej. {title} y {price} en social)
+				if (argv.value) {
+					operations.values = argv.value
+				}
+
 				// Verificar si es directorio
 				const isDirectory = await fileManager.isDirectory(argv.input)
 
-				if (isDirectory) {
-					const images = await fileManager.getImagesFromDirectory(argv.input)
+				const fingerprint = BuildCache.fingerprint({
+					operation: 'optimize',
+					preset: argv.preset,
+					operations: { ...optimizer.config, ...operations },
+				})
 
-					for (const image of images) {
-						const outputPath = await fileManager.generateOutputPath(
-							image.path,
-							argv.output,
-							'optimize',
-							{ format: 'webp' },
-						)
+				// Extensión de las salidas: el formato de --format o el del preset
+				const format = ImagePipeline.getFormat({ ...optimizer.config, ...operations }) || 'webp'
+
+				if (argv.dryRun) {
+					await showPlan('OPTIMIZE', async plan => {
+						await plan.addInput(argv.input, argv.output, {
+							operation: 'optimize',
+							operations: { ...optimizer.config, ...operations },
+							pathOptions: { format },
+							scanOptions: getScanOptions(argv),
+							cache: isDirectory
+								? { cache: await BuildCache.open(argv.output, { force: argv.force }), fingerprint }
+								: null,
+						})
+					})
+				} else if (isDirectory) {
+					const images = await fileManager.getImagesFromDirectory(argv.input, getScanOptions(argv))
 
-						await optimizer.optimize(image.path, outputPath, operations)
+					if (images.length === 0) {
+						throw new Error(`No se encontraron imágenes en: ${argv.input}`)
+					}
+
+					await fileManager.ensureDirectoryExists(argv.output)
+					const cache = await BuildCache.open(argv.output, { force: argv.force })
+					const total = images.length
+					let completed = 0
+					let skipped = 0
+					let failed = 0
+
+					try {
+						await WorkerPool.map(images, async image => {
+							try {
+								const outputPath = await fileManager.generateOutputPath(
+									image.path,
+									argv.output,
+									'optimize',
+									{ format, relativeDir: image.relativeDir },
+								)
+
+								const run = await cache.run(image.path, outputPath, fingerprint, () =>
+									optimizer.optimize(image.path, outputPath, operations),
+								)
+
+								if (run.skipped) {
+									skipped++
+									report?.add({ input: image.path, output: run.output, status: 'skipped' })
+									Logger.info(`[${++completed}/${total}] ${image.relativePath} sin cambios`)
+								} else {
+									Logger.success(
+										`[${++completed}/${total}] ${image.relativePath} → ${PathUtils.getBaseName(run.output)}`,
+									)
+								}
+							} catch (error) {
+								// El error ya queda en el informe (evento file-error del procesador)
+								failed++
+								Logger.error(`[${++completed}/${total}] ${image.relativePath}: ${error.message}`)
+							}
+						})
+					} finally {
+						await cache.save()
+					}
+
+					Logger.success(`Procesadas ${total - skipped - failed} imágenes en ${argv.output}`)
+					if (skipped > 0) {
+						Logger.info(`${skipped} imágenes sin cambios (usa --force para reprocesarlas)`)
+					}
+					if (failed > 0) {
+						Logger.warn(`${failed} imágenes con errores`)
 					}
 				} else {
 					await optimizer.optimize(argv.input, argv.output, operations)
@@ -342,20 +1467,391 @@ yargs(hideBin(process.argv))
 		},
 	})
 
+	// Comando: Srcset
+	.command({
+		command: 'srcset <input> <output>',
+		describe: 'Generar conjuntos responsive (anchos × formatos) con manifest JSON',
+		builder: withProjectOptions(yargs =>
+			yargs
+				.positional('input', {
+					describe: 'Ruta de la imagen de entrada (archivo o directorio)',
+					type: 'string',
+				})
+				.positional('output', {
+					describe: 'Directorio de salida',
+					type: 'string',
+				})
+				.option('widths', {
+					describe: 'Anchos a generar, separados por comas (nunca se amplía la imagen)',
+					type: 'string',
+					default: SrcsetGenerator.DEFAULT_WIDTHS.join(','),
+					coerce: value => {
+						const widths = parseList(value).map(Number)
+						if (widths.some(w => !Number.isInteger(w) || w <= 0 || w > 10000)) {
+							throw new Error(`Anchos no válidos: ${value}`)
+						}
+						return widths
+					},
+				})
+				.option('formats', {
+					describe: 'Formatos a generar, separados por comas (el último compatible es el <img>)',
+					type: 'string',
+					default: SrcsetGenerator.DEFAULT_FORMATS.join(','),
+					coerce: value => {
+						const formats = parseList(value).map(f => f.toLowerCase())
+						const invalid = formats.filter(f => !SrcsetGenerator.MIME_TYPES[f])
+						if (invalid.length > 0) {
+							throw new Error(`Formatos no soportados: ${invalid.join(', ')}`)
+						}
+						return formats
+					},
+				})
+				.option('quality', {
+					alias: 'q',
+					describe: 'Calidad (1-100); por defecto la de cada formato',
+					type: 'number',
+				})
+				.option('sizes', {
+					describe: 'Atributo sizes del <picture>',
+					type: 'string',
+					default: '100vw',
+				})
+				.option('base-url', {
+					describe: 'Prefijo para las URLs del srcset (p. ej. /img/)',
+					type: 'string',
+					default: '',
+				})
+				.option('html', {
+					describe: 'Escribir también un elemento <picture> listo para pegar',
+					type: 'boolean',
+					default: false,
+				})
+				.option('alt', {
+					describe: 'Texto alternativo para el <img> generado',
+					type: 'string',
+					default: '',
+				})
+				.options(DIRECTORY_OPTIONS),
+		),
+
+		handler: async argv => {
+			try {
+				await handleSrcset(argv)
+			} catch (error) {
+				Logger.error(`Error: ${error.message}`)
+				process.exit(1)
+			}
+		},
+	})
+
+	// Comando: Sprite
+	.command({
+		command: 'sprite <input> <output>',
+		describe: 'Empaquetar las imágenes de un directorio en un sprite con mapa JSON y CSS',
+		builder: withProjectOptions(yargs =>
+			yargs
+				.positional('input', {
+					describe: 'Directorio con las imágenes',
+					type: 'string',
+				})
+				.positional('output', {
+					describe: 'Ruta del sprite (.png o .webp); el JSON y el CSS se escriben al lado',
+					type: 'string',
+				})
+				.option('padding', {
+					describe: 'Separación entre imágenes y con los bordes, en px',
+					type: 'number',
+					default: SpriteGenerator.DEFAULT_PADDING,
+				})
+				.option('power-of-two', {
+					alias: 'pot',
+					describe: 'Ancho y alto del sprite potencias de 2 (texturas de juegos)',
+					type: 'boolean',
+					default: false,
+				})
+				.option('trim', {
+					describe: 'Recortar los bordes transparentes (o del color de la esquina) de cada imagen',
+					type: 'boolean',
+					default: false,
+				})
+				.option('retina', {
+					describe:
+						'Las imágenes son 2x: sprite@2x para pantallas retina y sprite a la mitad (--no-retina si son 1x)',
+					type: 'boolean',
+					default: true,
+				})
+				.option('prefix', {
+					describe: 'Prefijo de las clases CSS',
+					type: 'string',
+					default: SpriteGenerator.DEFAULT_PREFIX,
+				})
+				.options(DIRECTORY_OPTIONS)
+				.check(argv => {
+					if (!(Number.isInteger(argv.padding) && argv.padding >= 0)) {
+						throw new Error('--padding debe ser un entero mayor o igual que 0')
+					}
+					if (!/^[a-z_][a-z0-9_-]*$/i.test(argv.prefix)) {
+						throw new Error(`--prefix no es un nombre de clase CSS válido: ${argv.prefix}`)
+					}
+					return true
+				}),
+		),
+
+		handler: async argv => {
+			try {
+				await handleSprite(argv)
+			} catch (error) {
+				Logger.error(`Error: ${error.message}`)
+				process.exit(1)
+			}
+		},
+	})
+
+	// Comando: Iconos
+	.command({
+		command: 'icons <source> <outdir>',
+		describe: 'Generar favicon.ico, iconos de iOS y Android, maskable, web manifest y etiquetas <link>',
+		builder: withProjectOptions(yargs =>
+			yargs
+				.positional('source', {
+					describe: 'Imagen de origen (cuadrada, de al menos 512px, o SVG)',
+					type: 'string',
+				})
+				.positional('outdir', {
+					describe: 'Directorio de salida',
+					type: 'string',
+				})
+				.option('background', {
+					describe: 'Color de fondo de apple-touch-icon y de los iconos maskable',
+					type: 'string',
+					default: IconGenerator.DEFAULT_BACKGROUND,
+				})
+				.option('padding', {
+					describe: 'Margen de los iconos maskable por cada lado (0-0.4 del lado)',
+					type: 'number',
+					default: IconGenerator.DEFAULT_PADDING,
+				})
+				.option('theme-color', {
+					describe: 'theme_color del manifest y <meta name="theme-color"> (por defecto, el fondo)',
+					type: 'string',
+				})
+				.option('name', {
+					describe: 'Nombre de la aplicación en el manifest',
+					type: 'string',
+				})
+				.option('short-name', {
+					describe: 'Nombre corto en el manifest (por defecto, --name)',
+					type: 'string',
+				})
+				.option('base-url', {
+					describe: 'Prefijo de las URLs del manifest y de las etiquetas <link>',
+					type: 'string',
+					default: '/',
+				})
+				.check(argv => {
+					if (!(argv.padding >= 0 && argv.padding <= 0.4)) {
+						throw new Error('--padding debe estar entre 0 y 0.4')
+					}
+					return true
+				}),
+		),
+
+		handler: async argv => {
+			try {
+				await handleIcons(argv)
+			} catch (error) {
+				Logger.error(`Error: ${error.message}`)
+				process.exit(1)
+			}
+		},
+	})
+
+	// Comando: Vigilar
+	.command({
+		command: 'watch <input> <output>',
+		describe: 'Vigilar un directorio y optimizar las imágenes nuevas o modificadas',
+		builder: withProjectOptions(yargs =>
+			yargs
+				.positional('input', {
+					describe: 'Directorio a vigilar',
+					type: 'string',
+				})
+				.positional('output', {
+					describe: 'Directorio de salida',
+					type: 'string',
+				})
+				.option('preset', {
+					alias: 'p',
+					describe: 'Preset de optimización',
+					choices: OptimizerFactory.getPresetNames(),
+					default: 'web',
+				})
+				.option('debounce', {
+					describe:
+						'Milisegundos sin cambios antes de procesar un archivo (evita archivos a medio escribir)',
+					type: 'number',
+					default: 500,
+				})
+				.options(DIRECTORY_OPTIONS),
+		),
+
+		handler: async argv => {
+			try {
+				if (!(await fileManager.isDirectory(argv.input))) {
+					throw new Error(`La ruta no es un directorio: ${argv.input}`)
+				}
+
+				const watcher = new FolderWatcher(argv.input, argv.output, {
+					preset: argv.preset,
+					operations: {
+						...(argv.metadata && { metadata: argv.metadata }),
+						autoOrient: argv.autoOrient,
+						...(argv.firstFrame && { firstFrame: true }),
+					},
+					debounce: argv.debounce,
+					...getScanOptions(argv),
+				})
+
+				// Planifica solo las imágenes existentes; no se empieza a vigilar
+				if (argv.dryRun) {
+					return await showPlan('WATCH (imágenes existentes)', plan =>
+						plan.addInput(argv.input, argv.output, {
+							operation: 'optimize',
+							operations: { ...watcher.optimizer.config, ...watcher.options.operations },
+							pathOptions: { format: watcher.getOutputFormat() },
+							scanOptions: getScanOptions(argv),
+						}),
+					)
+				}
+
+				Logger.header('MODO VIGILANCIA')
+
+				watcher.on('error', error => Logger.error(`Error vigilando: ${error.message}`))
+				report?.attach(watcher.optimizer.processor)
+
+				process.once('SIGINT', async () => {
+					Logger.info('Deteniendo vigilancia...')
+					await watcher.stop()
+					Logger.success('Vigilancia detenida')
+					process.exit(0)
+				})
+
+				await watcher.start()
+			} catch (error) {
+				Logger.error(`Error: ${error.message}`)
+				process.exit(1)
+			}
+		},
+	})
+
+	// Comando: Info
+	.command({
+		command: 'info <input>',
+		describe: 'Mostrar dimensiones, formato, color, ICC, EXIF y estadísticas sin modificar nada',
+		builder: withProjectOptions(yargs =>
+			yargs
+				.positional('input', {
+					describe: 'Ruta de la imagen (archivo o directorio)',
+					type: 'string',
+				})
+				.option('json', {
+					describe: 'Imprimir solo JSON (para scripts)',
+					type: 'boolean',
+					default: false,
+				})
+				.options(DIRECTORY_OPTIONS),
+		),
+
+		handler: async argv => {
+			try {
+				await handleInfo(argv)
+			} catch (error) {
+				Logger.error(`Error: ${error.message}`)
+				process.exit(1)
+			}
+		},
+	})
+
 	// Comando: Batch
 	.command({
 		command: 'batch <config>',
 		describe: 'Procesar múltiples imágenes desde archivo de configuración',
-		builder: yargs =>
-			yargs.positional('config', {
-				describe: 'Archivo JSON de configuración',
-				type: 'string',
-			}),
+		builder: withProjectOptions(yargs =>
+			yargs
+				.positional('config', {
+					describe: 'Archivo JSON de configuración ({ defaults, images }, ver BatchConfig)',
+					type: 'string',
+				})
+				.option('focus-map', FRAMING_OPTIONS['focus-map'])
+				.option('concurrency', CONCURRENCY_OPTION),
+		),
 
 		handler: async argv => {
 			try {
-				const fs = await import('fs')
-				const config = JSON.parse(fs.readFileSync(argv.config, 'utf8'))
+				// Valida todo el archivo antes de procesar nada y aplica sus defaults
+				const config = BatchConfig.load(argv.config)
+
+				// --focus-map encuadra los recortes de cover de cada imagen de todas las entradas
+				if (argv.focusMap) {
+					config.images = config.images.map(entry => ({
+						...entry,
+						operations: { ...entry.operations, focusMap: argv.focusMap },
+					}))
+				}
+
+				// --metadata es la política por defecto de las entradas que no definen la suya
+				if (argv.metadata) {
+					config.images = config.images.map(entry =>
+						entry.operations?.metadata === undefined
+							? { ...entry, operations: { ...entry.operations, metadata: argv.metadata } }
+							: entry,
+					)
+				}
+
+				// Igual con --no-auto-orient y --first-frame
+				if (!argv.autoOrient) {
+					config.images = config.images.map(entry =>
+						entry.operations?.autoOrient === undefined
+							? { ...entry, operations: { ...entry.operations, autoOrient: false } }
+							: entry,
+					)
+				}
+
+				if (argv.firstFrame) {
+					config.images = config.images.map(entry =>
+						entry.operations?.firstFrame === undefined
+							? { ...entry, operations: { ...entry.operations, firstFrame: true } }
+							: entry,
+					)
+				}
+
+				if (argv.dryRun) {
+					return await showPlan('BATCH', async plan => {
+						for (const entry of config.images) {
+							const isDirectory = await fileManager.isDirectory(entry.input)
+							await plan.addInput(entry.input, entry.output, {
+								operation: processor.getOperationType(entry.operations || {}),
+								operations: entry.operations,
+								pathOptions: {
+									...entry.operations,
+									format: ImagePipeline.getFormat(entry.operations),
+								},
+								scanOptions: {
+									recursive: entry.recursive,
+									maxDepth: entry.maxDepth,
+									symlinks: entry.symlinks,
+								},
+								cache:
+									isDirectory && entry.cache
+										? {
+												cache: await BuildCache.open(entry.output, { force: entry.force }),
+												fingerprint: BuildCache.fingerprint({ operations: entry.operations }),
+											}
+										: null,
+							})
+						}
+					})
+				}
 
 				const results = await processor.batchProcess(config.images)
 
@@ -377,8 +1873,36 @@ yargs(hideBin(process.argv))
 	.example('$0 convert foto.jpg foto.webp', 'Convertir archivo individual')
 	.example('$0 convert ./imagenes ./output --format webp', 'Convertir todas las imágenes del directorio')
 	.example('$0 resize ./fotos ./resized --width 800 --height 600', 'Redimensionar todas las imágenes')
+	.example(
+		'$0 optimize retrato.jpg avatar.webp -p thumbnail --position attention',
+		'Miniatura cuadrada manteniendo al sujeto',
+	)
 	.example('$0 compress ./input ./compressed --quality 85', 'Comprimir todas las imágenes')
+	.example('$0 compress hero.jpg hero.webp --max-size 150KB', 'Comprimir hasta un tamaño máximo')
+	.example('$0 compress ./fotos ./web --min-ssim 0.98', 'Elegir la calidad de cada foto por similitud')
+	.example(
+		'$0 watermark ./fotos ./marcadas --overlay logo.svg --scale 0.15 --opacity 0.8',
+		'Estampar el logo en la esquina inferior derecha',
+	)
+	.example(
+		'$0 optimize foto.jpg card.jpg -p social --value title="Zapatillas trail" --value price="49 €"',
+		'Tarjeta social con título y precio',
+	)
 	.example('$0 optimize ./photos ./optimized --preset web', 'Optimizar directorio completo')
+	.example('$0 optimize ./photos ./optimized -r --dry-run', 'Ver qué se haría sin escribir nada')
+	.example('$0 optimize ./photos ./optimized -r --report informe.csv', 'Guardar un informe por archivo')
+	.example(
+		'$0 optimize ./photos ./web -r --metadata no-gps',
+		'Conservar EXIF y color, sin GPS ni nº de serie',
+	)
+	.example('$0 info ./fotos --json', 'Ver dimensiones, color y estadísticas como JSON')
+	.example(
+		'$0 srcset hero.jpg ./img --widths 320,640,1280 --html',
+		'Generar imágenes responsive y <picture>',
+	)
+	.example('$0 sprite ./iconos dist/iconos.png --trim', 'Sprite de iconos con mapa JSON y CSS retina')
+	.example('$0 icons logo.svg ./public --name "Mi sitio" --background "#0f172a"', 'Favicons e iconos de app')
 
+	.epilogue(project.path ? `Configuración del proyecto: ${project.path}` : '')
 	.demandCommand(1, 'Debe especificar un comando')
 	.strict().argv
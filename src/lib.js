@@ -0,0 +1,50 @@
+/**
+ * API programática del optimizador de imágenes
+ * Importar este módulo no procesa argumentos de línea de comandos (el CLI vive en index.js)
+ *
+ * @example
+ * import { ImageProcessor, OptimizerFactory, Logger } from 'image-converter'
+ *
+ * Logger.silent = true
+ * const processor = new ImageProcessor()
+ * processor.on('file-done', ({ input, result }) => console.log(input, result.finalSize))
+ *
+ * // Ruta, Buffer o stream de entrada; sin salida devuelve el Buffer en result.data
+ * const { data } = await processor.process(buffer, null, OptimizerFactory.getPreset('web'))
+ */
+export { ImageProcessor } from './core/ImageProcessor.js'
+export { ImagePipeline } from './core/ImagePipeline.js'
+export { PipelineSteps } from './core/PipelineSteps.js'
+export { FolderWatcher } from './core/FolderWatcher.js'
+export { ImageValidator } from './core/ImageValidator.js'
+export { ImageInspector } from './core/ImageInspector.js'
+export { BatchConfig } from './core/BatchConfig.js'
+export { ExecutionPlan } from './core/ExecutionPlan.js'
+export { MetadataPolicy } from './core/MetadataPolicy.js'
+export { Orientation } from './core/Orientation.js'
+export { FocalPoint } from './core/FocalPoint.js'
+export { AutoFormat } from './core/AutoFormat.js'
+export { ContentClassifier } from './core/ContentClassifier.js'
+export { Animation } from './core/Animation.js'
+export { OptimizerFactory } from './core/OptimizerFactory.js'
+export { ProjectConfig } from './core/ProjectConfig.js'
+export { ImageConverter } from './operations/ImageConverter.js'
+export { ImageResizer } from './operations/ImageResizer.js'
+export { ImageCompressor } from './operations/ImageCompressor.js'
+export { ImageWatermark } from './operations/ImageWatermark.js'
+export { ImageText } from './operations/ImageText.js'
+export { SrcsetGenerator } from './operations/SrcsetGenerator.js'
+export { SpriteGenerator } from './operations/SpriteGenerator.js'
+export { IconGenerator } from './operations/IconGenerator.js'
+export { FileManager } from './utils/fileManager.js'
+export { PathUtils } from './utils/PathUtils.js'
+export { StreamUtils } from './utils/StreamUtils.js'
+export { ExifParser } from './utils/ExifParser.js'
+export { BuildCache } from './utils/BuildCache.js'
+export { RunReport } from './utils/RunReport.js'
+export { WorkerPool } from './utils/WorkerPool.js'
+export { Logger } from './utils/Logger.js'
+
+import { OptimizerFactory } from './core/OptimizerFactory.js'
+
+export const PRESETS = OptimizerFactory.PRESETS
@@ -0,0 +1,277 @@
+import sharp from 'sharp'
+import { writeFile } from 'fs/promises'
+import { join } from 'path'
+import { Orientation } from '../core/Orientation.js'
+import { ImageResizer } from './ImageResizer.js'
+import { FileManager } from '../utils/fileManager.js'
+import { HtmlUtils } from '../utils/HtmlUtils.js'
+import { Logger } from '../utils/Logger.js'
+
+/**
+ * Generador de favicons e iconos de aplicación a partir de una sola imagen: favicon.ico con
+ * varias resoluciones, PNG para navegadores, iOS y Android, variantes maskable con margen y
+ * fondo, site.webmanifest y las etiquetas <link> para el <head>
+ *
+ * Las variantes maskable dejan el icono dentro de la zona segura (el 80% central) porque
+ * Android las recorta con la forma del sistema; apple-touch-icon va sobre el fondo porque
+ * iOS pinta de negro la transparencia
+ */
+export class IconGenerator {
+	// Resoluciones dentro de favicon.ico
+	static ICO_SIZES = [16, 32, 48]
+
+	// kind: favicon y android conservan la transparencia; apple y maskable van sobre el fondo
+	static ICONS = [
+		{ file: 'favicon-16x16.png', size: 16, kind: 'favicon' },
+		{ file: 'favicon-32x32.png', size: 32, kind: 'favicon' },
+		{ file: 'apple-touch-icon.png', size: 180, kind: 'apple' },
+		{ file: 'android-chrome-192x192.png', size: 192, kind: 'android' },
+		{ file: 'android-chrome-512x512.png', size: 512, kind: 'android' },
+		{ file: 'maskable-192x192.png', size: 192, kind: 'maskable' },
+		{ file: 'maskable-512x512.png', size: 512, kind: 'maskable' },
+	]
+
+	static DEFAULT_BACKGROUND = '#ffffff'
+	static DEFAULT_PADDING = 0.1
+
+	/**
+	 * Genera el conjunto de iconos, el manifest y el HTML
+	 * @param {string} inputPath - Imagen de origen (cuadrada y de al menos 512px, o SVG)
+	 * @param {string} outputDir - Directorio de salida
+	 * @param {Object} options - Opciones
+	 * @param {string} options.background - Color de fondo de apple-touch-icon y de las maskable
+	 * @param {number} options.padding - Margen de las maskable por cada lado (0-0.4 del lado)
+	 * @param {string} options.themeColor - theme_color del manifest y <meta> (por defecto, el fondo)
+	 * @param {string} options.name - name del manifest
+	 * @param {string} options.shortName - short_name del manifest (por defecto, name)
+	 * @param {string} options.baseUrl - Prefijo de las URLs del manifest y del HTML
+	 * @param {boolean} options.autoOrient - false para no girar según la orientación EXIF
+	 * @returns {Promise<Object>} { files, manifest, html }
+	 */
+	static async generate(inputPath, outputDir, options = {}) {
+		const {
+			background = this.DEFAULT_BACKGROUND,
+			padding = this.DEFAULT_PADDING,
+			baseUrl = '/',
+			autoOrient,
+		} = options
+
+		if (!(padding >= 0 && padding <= 0.4)) {
+			throw new Error(`Margen no válido: ${padding}. Debe estar entre 0 y 0.4`)
+		}
+
+		await new FileManager().ensureDirectoryExists(outputDir)
+		const input = await this.getSource(inputPath, autoOrient)
+		const files = []
+
+		for (const icon of this.ICONS) {
+			const path = join(outputDir, icon.file)
+
+			if (icon.kind === 'favicon' || icon.kind === 'android') {
+				await ImageResizer.resize(input, path, icon.size, icon.size, {
+					...this.getResizeOptions(),
+					format: 'png',
+					autoOrient,
+				})
+			} else {
+				const margin = icon.kind === 'maskable' ? padding : 0
+				await this.renderPadded(input, icon.size, { background, padding: margin, autoOrient }).toFile(
+					path,
+				)
+			}
+
+			files.push(path)
+		}
+
+		const ico = await Promise.all(
+			this.ICO_SIZES.map(size =>
+				ImageResizer.applyResize(
+					Orientation.apply(sharp(input), autoOrient),
+					size,
+					size,
+					this.getResizeOptions(),
+				)
+					.png()
+					.toBuffer(),
+			),
+		)
+		const icoPath = join(outputDir, 'favicon.ico')
+		await writeFile(icoPath, this.buildIco(ico.map((data, i) => ({ size: this.ICO_SIZES[i], data }))))
+		files.push(icoPath)
+
+		const manifest = this.buildManifest({ ...options, background, baseUrl })
+		const manifestPath = join(outputDir, 'site.webmanifest')
+		await writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n')
+		files.push(manifestPath)
+
+		const html = this.buildLinkTags({ ...options, background, baseUrl })
+		const htmlPath = join(outputDir, 'icons.html')
+		await writeFile(htmlPath, html + '\n')
+		files.push(htmlPath)
+
+		Logger.success(`Iconos creados en ${outputDir}: ${files.length} archivos`)
+
+		return { files, manifest, html }
+	}
+
+	/**
+	 * Archivos que escribiría generate(), sin escribir nada (para --dry-run)
+	 * @param {string} outputDir - Directorio de salida
+	 * @returns {Array<{path: string, kind: string, size?: number}>}
+	 * kind: favicon, apple, android, maskable, ico, manifest o html
+	 */
+	static plan(outputDir) {
+		return [
+			...this.ICONS.map(icon => ({ path: join(outputDir, icon.file), kind: icon.kind, size: icon.size })),
+			{ path: join(outputDir, 'favicon.ico'), kind: 'ico' },
+			{ path: join(outputDir, 'site.webmanifest'), kind: 'manifest' },
+			{ path: join(outputDir, 'icons.html'), kind: 'html' },
+		]
+	}
+
+	/**
+	 * Archivo ICO con una imagen PNG por resolución (Windows Vista y todos los navegadores actuales)
+	 * @param {Array<{size: number, data: Buffer}>} images - PNG cuadrados de como mucho 256px
+	 * @returns {Buffer}
+	 */
+	static buildIco(images) {
+		const header = Buffer.alloc(6)
+		header.writeUInt16LE(0, 0)
+		header.writeUInt16LE(1, 2) // 1 = icono
+		header.writeUInt16LE(images.length, 4)
+
+		let offset = header.length + 16 * images.length
+		const entries = images.map(({ size, data }) => {
+			const entry = Buffer.alloc(16)
+			entry.writeUInt8(size >= 256 ? 0 : size, 0) // 0 = 256px
+			entry.writeUInt8(size >= 256 ? 0 : size, 1)
+			entry.writeUInt8(0, 2) // sin paleta
+			entry.writeUInt8(0, 3)
+			entry.writeUInt16LE(1, 4) // planos de color
+			entry.writeUInt16LE(32, 6) // bits por píxel
+			entry.writeUInt32LE(data.length, 8)
+			entry.writeUInt32LE(offset, 12)
+			offset += data.length
+			return entry
+		})
+
+		return Buffer.concat([header, ...entries, ...images.map(image => image.data)])
+	}
+
+	/**
+	 * Contenido de site.webmanifest
+	 * @param {Object} options - { name, shortName, background, themeColor, baseUrl }
+	 * @returns {Object}
+	 */
+	static buildManifest({
+		name,
+		shortName,
+		background = this.DEFAULT_BACKGROUND,
+		themeColor,
+		baseUrl = '/',
+	}) {
+		const icons = this.ICONS.filter(icon => icon.kind === 'android' || icon.kind === 'maskable').map(
+			icon => ({
+				src: HtmlUtils.joinUrl(baseUrl, icon.file),
+				sizes: `${icon.size}x${icon.size}`,
+				type: 'image/png',
+				purpose: icon.kind === 'maskable' ? 'maskable' : 'any',
+			}),
+		)
+
+		return {
+			...(name && { name }),
+			...((shortName || name) && { short_name: shortName || name }),
+			icons,
+			theme_color: themeColor || background,
+			background_color: background,
+			display: 'standalone',
+		}
+	}
+
+	/**
+	 * Etiquetas <link> (y el <meta> theme-color) para el <head>
+	 * @param {Object} options - { background, themeColor, baseUrl }
+	 * @returns {string} HTML
+	 */
+	static buildLinkTags({ background = this.DEFAULT_BACKGROUND, themeColor, baseUrl = '/' }) {
+		const icoSizes = this.ICO_SIZES.map(size => `${size}x${size}`).join(' ')
+		const href = file => HtmlUtils.escapeAttribute(HtmlUtils.joinUrl(baseUrl, file))
+		const tags = [
+			`<link rel="icon" href="${href('favicon.ico')}" sizes="${icoSizes}">`,
+			...this.ICONS.filter(icon => icon.kind === 'favicon')
+				.reverse()
+				.map(
+					icon =>
+						`<link rel="icon" type="image/png" sizes="${icon.size}x${icon.size}" href="${href(icon.file)}">`,
+				),
+			...this.ICONS.filter(icon => icon.kind === 'apple').map(
+				icon =>
+					`<link rel="apple-touch-icon" sizes="${icon.size}x${icon.size}" href="${href(icon.file)}">`,
+			),
+			`<link rel="manifest" href="${href('site.webmanifest')}">`,
+			`<meta name="theme-color" content="${HtmlUtils.escapeAttribute(themeColor || background)}">`,
+		]
+
+		return tags.join('\n')
+	}
+
+	/**
+	 * Entrada para los redimensionados: la ruta o, si es SVG, un PNG rasterizado a 512px
+	 * de lado menor para que los iconos grandes no salgan borrosos. Avisa si es pequeña o no es cuadrada
+	 * @private
+	 */
+	static async getSource(inputPath, autoOrient) {
+		const metadata = await sharp(inputPath).metadata()
+		const target = Math.max(...this.ICONS.map(icon => icon.size))
+		let input = inputPath
+
+		if (metadata.format === 'svg') {
+			const density = Math.min(100000, (72 * target) / Math.min(metadata.width, metadata.height))
+			input = await sharp(inputPath, { density }).png().toBuffer()
+		} else {
+			const { width, height } = Orientation.orient(metadata, autoOrient)
+			if (Math.min(width, height) < target) {
+				Logger.warn(
+					`La imagen mide ${width}x${height}px: los iconos de más de ${Math.min(width, height)}px se amplían (usa una de al menos ${target}px o un SVG)`,
+				)
+			}
+		}
+
+		if (metadata.width !== metadata.height) {
+			Logger.warn('La imagen no es cuadrada: se centra con márgenes transparentes o del color de fondo')
+		}
+
+		return input
+	}
+
+	/**
+	 * Icono centrado sobre el fondo, con un margen de `padding` del lado por cada lado
+	 * @private
+	 */
+	static renderPadded(input, size, { background, padding, autoOrient }) {
+		const inner = Math.max(1, Math.round(size * (1 - 2 * padding)))
+		const before = Math.floor((size - inner) / 2)
+		const after = size - inner - before
+
+		return ImageResizer.applyResize(Orientation.apply(sharp(input), autoOrient), inner, inner, {
+			...this.getResizeOptions(),
+			background,
+		})
+			.extend({ top: before, bottom: after, left: before, right: after, background })
+			.flatten({ background })
+			.png()
+	}
+
+	/**
+	 * Encaje de todos los iconos: la imagen entera, centrada y ampliada si hace falta
+	 * @private
+	 */
+	static getResizeOptions() {
+		return {
+			fit: 'contain',
+			background: { r: 0, g: 0, b: 0, alpha: 0 },
+			withoutEnlargement: false,
+		}
+	}
+}
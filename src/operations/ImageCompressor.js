@@ -1,57 +1,92 @@
 import sharp from 'sharp'
 import { statSync } from 'fs'
+import { writeFile } from 'fs/promises'
 import { Logger } from '../utils/Logger.js'
 import { PathUtils } from '../utils/PathUtils.js'
+import { WorkerPool } from '../utils/WorkerPool.js'
+import { SizeUtils } from '../utils/SizeUtils.js'
+import { Ssim } from '../utils/Ssim.js'
+import { MetadataPolicy } from '../core/MetadataPolicy.js'
+import { Orientation } from '../core/Orientation.js'
+import { Animation } from '../core/Animation.js'
 
 /**
  * Compresor de imágenes con algoritmos optimizados
  */
 export class ImageCompressor {
+	/**
+	 * Esfuerzo máximo de cada codificador con pérdida (null = sin parámetro de esfuerzo)
+	 */
+	static MAX_EFFORT = { webp: 6, avif: 9, jpeg: null, jpg: null }
+
 	/**
 	 * Comprime una imagen optimizando para web
 	 * @param {string} inputPath - Ruta de entrada
 	 * @param {string} outputPath - Ruta de salida
-	 * @param {Object} options - Opciones de compresión
+	 * @param {Object} options - Opciones de compresión, `metadata` (política de MetadataPolicy),
+	 * `autoOrient` (false para no girar según la orientación EXIF) y `firstFrame` (solo el primer
+	 * fotograma de una animación)
 	 * @returns {Promise<Object>} Resultado
 	 */
 	static async compress(inputPath, outputPath, options = {}) {
 		try {
 			Logger.progress('Optimizando imagen...')
 
-			const {
-				quality = 80,
-				format = 'webp',
-				progressive = true,
-				optimizeSize = true,
-				metadata = 'none',
-			} = options
-
 			// Obtener tamaño original usando statSync
 			const originalStats = statSync(inputPath)
 			const originalSize = originalStats.size
 
-			let pipeline = sharp(inputPath)
+			const metadata = await MetadataPolicy.resolve(inputPath, options.metadata)
+			MetadataPolicy.log(metadata)
 
-			// Eliminar metadata innecesaria
-			if (metadata === 'none') {
-				pipeline = pipeline.withMetadata()
-			} else if (metadata !== 'all') {
-				pipeline = pipeline.withMetadata({ [metadata]: true })
-			}
+			const frames = await Animation.resolve(inputPath, {
+				formats: [(options.format || 'webp').toLowerCase()],
+				firstFrame: options.firstFrame,
+			})
+			if (frames) Logger.info(`Animación: ${Animation.describe(frames)}`)
 
-			// Configurar compresión basada en formato
-			const compressionConfig = this.getCompressionConfig(format, quality, options)
+			const source = () =>
+				Orientation.apply(
+					MetadataPolicy.apply(sharp(inputPath, Animation.getInputOptions(Boolean(frames))), metadata),
+					options.autoOrient,
+				)
 
-			// Aplicar formato y compresión
-			pipeline = this.applyFormat(pipeline, format, compressionConfig)
+			let search = null
 
-			// Optimizaciones adicionales
-			if (optimizeSize) {
-				pipeline = pipeline.sharpen(options.sharpen)
-			}
+			if (options.maxSize) {
+				// Buscar la mayor calidad que cabe en el presupuesto y escribir ese mismo resultado
+				const { width } = await Orientation.getDimensions(inputPath, options.autoOrient)
+				search = await this.encodeToSize(({ quality, effort, scale }) => {
+					let pipeline = source()
+					if (scale < 1) {
+						pipeline = pipeline.resize({ width: Math.round(width * scale) })
+					}
+					return this.applyCompression(pipeline, { ...options, quality, ...(effort && { effort }) })
+				}, options)
 
-			// Guardar imagen
-			await pipeline.toFile(outputPath)
+				await writeFile(outputPath, search.data)
+			} else if (options.minSsim) {
+				// Buscar la menor calidad que mantiene la similitud con el original
+				const reference = await Ssim.luminance(
+					Orientation.apply(
+						sharp(inputPath, Animation.getInputOptions(Boolean(frames))),
+						options.autoOrient,
+					),
+				)
+				// Sin enfocar (optimizeSize): la referencia no lo está y ninguna calidad alcanzaría el SSIM
+				search = await this.encodeToSimilarity(
+					({ quality }) => this.applyCompression(source(), { ...options, quality, optimizeSize: false }),
+					reference,
+					options,
+				)
+
+				await writeFile(outputPath, search.data)
+			} else {
+				const pipeline = this.applyCompression(source(), options)
+
+				// Guardar imagen
+				await pipeline.toFile(outputPath)
+			}
 
 			// Obtener tamaño optimizado usando statSync
 			const optimizedStats = statSync(outputPath)
@@ -66,7 +101,16 @@ export class ImageCompressor {
 				originalSize: originalSize,
 				optimizedSize: optimizedSize,
 				reduction: reduction,
-				format: format,
+				format: options.format || 'webp',
+				quality: search ? search.quality : options.quality || 80,
+				metadataPolicy: MetadataPolicy.summarize(metadata),
+				...(frames && { animation: frames }),
+				...(search && {
+					dimensions: { width: search.info.width, height: search.info.height },
+					attempts: search.attempts,
+				}),
+				...(search?.maxBytes && { maxSize: search.maxBytes, effort: search.effort, scale: search.scale }),
+				...(search?.minSsim && { ssim: search.ssim, minSsim: search.minSsim, ssimMet: search.met }),
 			}
 		} catch (error) {
 			Logger.error(`Error en compresión: ${error.message}`)
@@ -74,6 +118,171 @@ export class ImageCompressor {
 		}
 	}
 
+	/**
+	 * Aplica formato y compresión a una pipeline de sharp existente.
+	 * Los metadatos se gestionan aparte con MetadataPolicy
+	 * @param {sharp.Sharp} pipeline - Pipeline de sharp
+	 * @param {Object} options - Opciones de compresión
+	 * @returns {sharp.Sharp} Pipeline con la codificación configurada
+	 */
+	static applyCompression(pipeline, options = {}) {
+		const { quality = 80, format = 'webp', optimizeSize = true } = options
+
+		// Configurar compresión basada en formato
+		const compressionConfig = this.getCompressionConfig(format, quality, options)
+
+		// Aplicar formato y compresión
+		pipeline = this.applyFormat(pipeline, format, compressionConfig)
+
+		// Optimizaciones adicionales
+		if (optimizeSize) {
+			pipeline = pipeline.sharpen(options.sharpen)
+		}
+
+		return pipeline
+	}
+
+	/**
+	 * Busca la codificación de mayor calidad que no supera un tamaño máximo.
+	 * Primero busca la calidad (búsqueda binaria), después prueba con el esfuerzo máximo
+	 * del codificador y, si se permite, reduce las dimensiones
+	 * @param {Function} build - ({ quality, effort, scale }) => pipeline de sharp con la codificación aplicada
+	 * @param {Object} options - Opciones
+	 * @param {string|number} options.maxSize - Tamaño máximo ("150KB" o bytes)
+	 * @param {string} options.format - Formato de salida (webp, avif o jpeg)
+	 * @param {number} options.minQuality - Calidad mínima aceptable
+	 * @param {number} options.maxQuality - Calidad máxima a probar (por defecto, options.quality o 95)
+	 * @param {boolean} options.allowResize - Permitir reducir dimensiones si la calidad no basta
+	 * @returns {Promise<Object>} { data, info, quality, effort, scale, attempts, maxBytes }
+	 */
+	static async encodeToSize(build, options = {}) {
+		const {
+			maxSize,
+			format = 'webp',
+			minQuality = 30,
+			maxQuality = options.quality ?? 95,
+			allowResize = false,
+			minScale = 0.25,
+		} = options
+
+		const maxBytes = SizeUtils.parse(maxSize)
+		const normalizedFormat = format.toLowerCase()
+
+		if (!Object.hasOwn(this.MAX_EFFORT, normalizedFormat)) {
+			throw new Error(`--max-size requiere un formato con pérdida (webp, avif, jpeg), no ${format}`)
+		}
+
+		if (minQuality > maxQuality) {
+			throw new Error(`Calidad mínima (${minQuality}) mayor que la máxima (${maxQuality})`)
+		}
+
+		// Esfuerzos a probar: el configurado y, si no alcanza, el máximo del codificador
+		const maxEffort = this.MAX_EFFORT[normalizedFormat]
+		const efforts =
+			maxEffort && options.effort !== maxEffort ? [options.effort, maxEffort] : [options.effort]
+
+		let attempts = 0
+		let smallest = Infinity
+		let scale = 1
+
+		while (true) {
+			for (const effort of efforts) {
+				let low = minQuality
+				let high = maxQuality
+				let best = null
+
+				while (low <= high) {
+					const quality = Math.floor((low + high) / 2)
+					const { data, info } = await build({ quality, effort, scale }).toBuffer({
+						resolveWithObject: true,
+					})
+					attempts++
+					smallest = Math.min(smallest, data.length)
+
+					if (data.length <= maxBytes) {
+						best = { data, info, quality }
+						low = quality + 1
+					} else {
+						high = quality - 1
+					}
+				}
+
+				if (best) {
+					return { ...best, effort, scale, attempts, maxBytes }
+				}
+			}
+
+			if (!allowResize || scale <= minScale) break
+
+			// El tamaño crece aproximadamente con el área: reducir según lo que sobra
+			scale = Math.max(minScale, scale * Math.min(0.9, Math.sqrt(maxBytes / smallest)))
+		}
+
+		throw new Error(
+			`No se puede alcanzar ${Logger.formatBytes(maxBytes)} en ${normalizedFormat.toUpperCase()}: ` +
+				`el mínimo conseguido es ${Logger.formatBytes(smallest)} (calidad ${minQuality}` +
+				`${allowResize ? `, escala ${scale.toFixed(2)}` : ''}). ` +
+				(allowResize ? 'Aumenta el tamaño máximo' : 'Prueba con --allow-resize o un tamaño mayor'),
+		)
+	}
+
+	/**
+	 * Busca la menor calidad cuya imagen decodificada mantiene un SSIM mínimo respecto a la referencia
+	 * (búsqueda binaria; si ni la calidad máxima lo alcanza, se usa la máxima y `met` es false)
+	 * @param {Function} build - ({ quality }) => pipeline de sharp con la codificación aplicada
+	 * @param {{data: Buffer, width: number, height: number}} reference - Luminancia de referencia (Ssim.luminance)
+	 * @param {Object} options - Opciones
+	 * @param {number} options.minSsim - Similitud mínima (0-1], p. ej. 0.98
+	 * @param {number} options.minQuality - Calidad mínima a probar
+	 * @param {number} options.maxQuality - Calidad máxima a probar
+	 * @returns {Promise<Object>} { data, info, quality, ssim, met, attempts, minSsim }
+	 */
+	static async encodeToSimilarity(build, reference, options = {}) {
+		const { minSsim, minQuality = 30, maxQuality = 95 } = options
+
+		if (!(minSsim > 0 && minSsim <= 1)) {
+			throw new Error(`SSIM mínimo no válido: ${minSsim}. Debe estar entre 0 y 1`)
+		}
+
+		if (minQuality > maxQuality) {
+			throw new Error(`Calidad mínima (${minQuality}) mayor que la máxima (${maxQuality})`)
+		}
+
+		const encode = async quality => {
+			const { data, info } = await build({ quality }).toBuffer({ resolveWithObject: true })
+			const ssim = Ssim.compare(reference, await Ssim.luminance(data))
+			return { data, info, quality, ssim }
+		}
+
+		let low = minQuality
+		let high = maxQuality
+		let best = null
+		let attempts = 0
+
+		while (low <= high) {
+			const candidate = await encode(Math.floor((low + high) / 2))
+			attempts++
+
+			if (candidate.ssim >= minSsim) {
+				best = candidate
+				high = candidate.quality - 1
+			} else {
+				low = candidate.quality + 1
+			}
+		}
+
+		if (best) {
+			return { ...best, met: true, attempts, minSsim }
+		}
+
+		const fallback = await encode(maxQuality)
+		Logger.warn(
+			`Ninguna calidad alcanza SSIM ${minSsim}: se usa calidad ${maxQuality} (SSIM ${fallback.ssim.toFixed(4)})`,
+		)
+
+		return { ...fallback, met: false, attempts: attempts + 1, minSsim }
+	}
+
 	/**
 	 * Obtiene configuración de compresión para formato
 	 * @private
@@ -112,10 +321,17 @@ export class ImageCompressor {
 
 			case 'png':
 				return {
-					compressionLevel: options.compressionLevel || 9,
-					palette: options.palette || true,
+					compressionLevel: options.compressionLevel ?? 9,
+					palette: options.palette ?? true,
+					colors: options.colors || 256,
+					dither: options.dither ?? 1.0,
+				}
+
+			case 'gif':
+				return {
 					colors: options.colors || 256,
-					dither: options.dither || 1.0,
+					effort: options.effort || 7,
+					dither: options.dither ?? 1.0,
 				}
 
 			default:
@@ -134,6 +350,7 @@ export class ImageCompressor {
 			jpeg: () => pipeline.jpeg(config),
 			jpg: () => pipeline.jpeg(config),
 			png: () => pipeline.png(config),
+			gif: () => pipeline.gif(config),
 		}
 
 		const formatFn = formatMap[format.toLowerCase()]
@@ -151,17 +368,13 @@ export class ImageCompressor {
 	 * @returns {Promise<Array>} Resultados
 	 */
 	static async batchCompress(images, options = {}) {
-		const results = []
-
-		for (const image of images) {
+		return WorkerPool.map(images, async image => {
 			try {
 				const result = await this.compress(image.input, image.output, options)
-				results.push({ ...image, success: true, result })
+				return { ...image, success: true, result }
 			} catch (error) {
-				results.push({ ...image, success: false, error: error.message })
+				return { ...image, success: false, error: error.message }
 			}
-		}
-
-		return results
+		})
 	}
 }
@@ -1,5 +1,9 @@
 import sharp from 'sharp';
 import { Logger } from '../utils/Logger.js';
+import { WorkerPool } from '../utils/WorkerPool.js';
+import { MetadataPolicy } from '../core/MetadataPolicy.js';
+import { Orientation } from '../core/Orientation.js';
+import { Animation } from '../core/Animation.js';
 
 /**
  * Convertidor de imágenes con soporte para formatos modernos
@@ -11,7 +15,8 @@ export class ImageConverter {
     'avif': { quality: 70, lossless: false },
     'jpeg': { quality: 85, mozjpeg: true },
     'png': { compressionLevel: 8, palette: true },
-    'jpg': { quality: 85, mozjpeg: true }
+    'jpg': { quality: 85, mozjpeg: true },
+    'gif': { effort: 7 }
   };
 
   /**
@@ -19,47 +24,42 @@ export class ImageConverter {
    * @param {string} inputPath - Ruta de entrada
    * @param {string} outputPath - Ruta de salida
    * @param {string} format - Formato destino
-   * @param {Object} options - Opciones adicionales
+   * @param {Object} options - Opciones del codificador, `metadata` (política de MetadataPolicy),
+   * `autoOrient` (false para no girar según la orientación EXIF) y `firstFrame` (convertir solo
+   * el primer fotograma de un GIF o WebP animado; por defecto a WebP y GIF se conserva la animación)
    * @returns {Promise<Object>} Resultado de la conversión
    */
   static async convert(inputPath, outputPath, format = 'webp', options = {}) {
     try {
-      Logger.progress(`Convirtiendo a ${format.toUpperCase()}...`);
+      Logger.progress(`Convertiendo a ${format.toUpperCase()}...`);
+
+      const { metadata: policy, autoOrient, firstFrame, ...encoderOptions } = options;
+      const metadata = await MetadataPolicy.resolve(inputPath, policy);
+      MetadataPolicy.log(metadata);
 
       const outputFormat = format.toLowerCase();
-      const config = { ...this.FORMAT_CONFIGS[outputFormat], ...options };
-      
-      let pipeline = sharp(inputPath);
-      
-      // Configuración específica por formato
-      switch(outputFormat) {
-        case 'webp':
-          pipeline = pipeline.webp(config);
-          break;
-        case 'avif':
-          pipeline = pipeline.avif(config);
-          break;
-        case 'jpeg':
-        case 'jpg':
-          pipeline = pipeline.jpeg(config);
-          break;
-        case 'png':
-          pipeline = pipeline.png(config);
-          break;
-        default:
-          throw new Error(`Formato no soportado: ${format}`);
-      }
+      const frames = await Animation.resolve(inputPath, { formats: [outputFormat], firstFrame });
+      if (frames) Logger.info(`Animación: ${Animation.describe(frames)}`);
+
+      const image = sharp(inputPath, Animation.getInputOptions(Boolean(frames)));
+      const pipeline = this.applyFormat(
+        Orientation.apply(MetadataPolicy.apply(image, metadata), autoOrient),
+        outputFormat,
+        encoderOptions
+      );
 
       await pipeline.toFile(outputPath);
       
       // Metadata para estadísticas
-      const metadata = await sharp(outputPath).metadata();
+      const outputMetadata = await sharp(outputPath).metadata();
       const stats = await sharp(outputPath).stats();
       
       return {
         success: true,
         format: outputFormat,
-        metadata,
+        metadata: outputMetadata,
+        metadataPolicy: MetadataPolicy.summarize(metadata),
+        ...(frames && { animation: frames }),
         stats
       };
       
@@ -69,14 +69,42 @@ export class ImageConverter {
     }
   }
 
+  /**
+   * Aplica el formato de salida a una pipeline de sharp existente
+   * @param {sharp.Sharp} pipeline - Pipeline de sharp
+   * @param {string} format - Formato destino
+   * @param {Object} options - Opciones del codificador
+   * @returns {sharp.Sharp} Pipeline con la codificación configurada
+   */
+  static applyFormat(pipeline, format = 'webp', options = {}) {
+    const outputFormat = format.toLowerCase();
+    const config = { ...this.FORMAT_CONFIGS[outputFormat], ...options };
+
+    // Configuración específica por formato
+    switch(outputFormat) {
+      case 'webp':
+        return pipeline.webp(config);
+      case 'avif':
+        return pipeline.avif(config);
+      case 'jpeg':
+      case 'jpg':
+        return pipeline.jpeg(config);
+      case 'png':
+        return pipeline.png(config);
+      case 'gif':
+        return pipeline.gif(config);
+      default:
+        throw new Error(`Formato no soportado: ${format}`);
+    }
+  }
+
   /**
    * Convierte múltiples imágenes
    * @param {Array} images - Array de objetos {input, output, format}
    * @returns {Promise<Array>} Resultados
    */
   static async batchConvert(images) {
-    const results = [];
-    for (const image of images) {
+    return WorkerPool.map(images, async image => {
       try {
         const result = await this.convert(
           image.input, 
@@ -84,11 +112,10 @@ export class ImageConverter {
           image.format, 
           image.options
         );
-        results.push({ ...image, success: true, result });
+        return { ...image, success: true, result };
       } catch (error) {
-        results.push({ ...image, success: false, error: error.message });
+        return { ...image, success: false, error: error.message };
       }
-    }
-    return results;
+    });
   }
 }
\ No newline at end of file
@@ -1,5 +1,10 @@
 import sharp from 'sharp';
+import { extname } from 'path';
 import { Logger } from '../utils/Logger.js';
+import { MetadataPolicy } from '../core/MetadataPolicy.js';
+import { Orientation } from '../core/Orientation.js';
+import { FocalPoint } from '../core/FocalPoint.js';
+import { Animation } from '../core/Animation.js';
 
 /**
  * Redimensionador de imágenes con diferentes estrategias
@@ -20,32 +25,37 @@ export class ImageResizer {
    * @param {string} outputPath - Ruta de salida
    * @param {number} width - Ancho destino
    * @param {number} height - Alto destino
-   * @param {Object} options - Opciones adicionales
+   * @param {Object} options - Opciones adicionales, `metadata` (política de MetadataPolicy),
+   * `autoOrient` (false para no girar según la orientación EXIF antes de redimensionar),
+   * `position` y `focus` (encuadre de los recortes de cover, ver FocalPoint) y `firstFrame`
+   * (solo el primer fotograma; si no, se redimensionan todos los de un GIF o WebP animado)
    * @returns {Promise<Object>} Resultado
    */
   static async resize(inputPath, outputPath, width, height, options = {}) {
     try {
       Logger.progress(`Redimensionando a ${width}x${height}px...`);
 
-      const {
-        strategy = 'cover',
-        fit = 'cover',
-        position = 'center',
-        background = { r: 255, g: 255, b: 255, alpha: 0 },
-        withoutEnlargement = true,
-        kernel = 'lanczos3'
-      } = options;
-
-      const pipeline = sharp(inputPath)
-        .resize({
-          width: Math.round(width),
-          height: Math.round(height),
-          fit: this.RESIZE_STRATEGIES[fit] || fit,
-          position,
-          background,
-          withoutEnlargement,
-          kernel
-        });
+      const metadataPolicy = await MetadataPolicy.resolve(inputPath, options.metadata);
+      MetadataPolicy.log(metadataPolicy);
+
+      // El punto focal se calcula sobre la imagen ya orientada
+      const size = options.focus ? await Orientation.getDimensions(inputPath, options.autoOrient) : null;
+
+      // Sin format, el de la extensión de la salida
+      const format = (options.format || extname(outputPath).slice(1)).toLowerCase();
+      const frames = await Animation.resolve(inputPath, {
+        formats: format ? [format] : [],
+        firstFrame: options.firstFrame
+      });
+      if (frames) Logger.info(`Animación: ${Animation.describe(frames)}`);
+
+      const image = sharp(inputPath, Animation.getInputOptions(Boolean(frames)));
+      const pipeline = this.applyResize(
+        Orientation.apply(MetadataPolicy.apply(image, metadataPolicy), options.autoOrient),
+        width,
+        height,
+        { ...options, size }
+      );
 
       // Mantener formato original o convertir si se especifica
       if (options.format) {
@@ -64,7 +74,9 @@ export class ImageResizer {
         dimensions: { width: metadata.width, height: metadata.height },
         originalSize: (await sharp(inputPath).metadata()).size,
         optimizedSize: metadata.size,
-        format: metadata.format
+        format: metadata.format,
+        metadataPolicy: MetadataPolicy.summarize(metadataPolicy),
+        ...(frames && { animation: frames })
       };
 
     } catch (error) {
@@ -73,14 +85,54 @@ export class ImageResizer {
     }
   }
 
+  /**
+   * Aplica el redimensionado a una pipeline de sharp existente
+   * @param {sharp.Sharp} pipeline - Pipeline de sharp
+   * @param {number} width - Ancho destino (null para calcularlo por proporción)
+   * @param {number} height - Alto destino (null para calcularlo por proporción)
+   * @param {Object} options - Opciones de redimensionado. Con `focus` ({ x, y } o "x,y") y `size`
+   * (dimensiones de la imagen que llega) un recorte cover mantiene el punto focal en el encuadre
+   * @returns {sharp.Sharp} Pipeline redimensionada
+   */
+  static applyResize(pipeline, width, height, options = {}) {
+    const {
+      fit = 'cover',
+      position = 'center',
+      background = { r: 255, g: 255, b: 255, alpha: 0 },
+      withoutEnlargement = true,
+      kernel = 'lanczos3',
+      focus = null,
+      size = null
+    } = options;
+
+    if (focus && size && fit === 'cover' && width && height) {
+      const crop = FocalPoint.getCrop(size, width, height, FocalPoint.parse(focus));
+      if (crop) pipeline = pipeline.extract(crop);
+    }
+
+    return pipeline.resize({
+      width: width ? Math.round(width) : null,
+      height: height ? Math.round(height) : null,
+      fit: this.RESIZE_STRATEGIES[fit] || fit,
+      position,
+      background,
+      withoutEnlargement,
+      kernel
+    });
+  }
+
   /**
    * Crea thumbnails en diferentes tamaños
    * @param {string} inputPath - Ruta de entrada
    * @param {string} outputDir - Directorio de salida
    * @param {Array} sizes - Array de objetos {width, height, suffix}
+   * @param {Object} options - Opciones { fit, position, focus, format, formatOptions, metadata, autoOrient }
+   * (el encuadre es el mismo que en resize(): cada tamaño mantiene el foco dentro del recorte)
    * @returns {Promise<Array>} Resultados
    */
-  static async createThumbnails(inputPath, outputDir, sizes = []) {
+  static async createThumbnails(inputPath, outputDir, sizes = [], options = {}) {
+    const { fit = 'cover', format = 'webp', ...resizeOptions } = options;
+
     const defaultSizes = [
       { width: 150, height: 150, suffix: '_thumb' },
       { width: 300, height: 300, suffix: '_small' },
@@ -92,7 +144,7 @@ export class ImageResizer {
     const results = [];
 
     for (const size of targetSizes) {
-      const outputPath = `${outputDir}/${this.getFilename(inputPath)}${size.suffix}.webp`;
+      const outputPath = `${outputDir}/${this.getFilename(inputPath)}${size.suffix}.${format}`;
       
       try {
         const result = await this.resize(
@@ -100,7 +152,7 @@ export class ImageResizer {
           outputPath,
           size.width,
           size.height,
-          { fit: 'cover', format: 'webp' }
+          { ...resizeOptions, fit, format }
         );
         
         results.push({
@@ -0,0 +1,241 @@
+import sharp from 'sharp'
+import { basename, extname } from 'path'
+import { Logger } from '../utils/Logger.js'
+import { MetadataPolicy } from '../core/MetadataPolicy.js'
+import { Orientation } from '../core/Orientation.js'
+import { ImageWatermark } from './ImageWatermark.js'
+
+/**
+ * Textos sobre la imagen (títulos, precios, etiquetas): se renderizan como overlay SVG con
+ * fuente, tamaño, color, contorno, caja de fondo y ajuste de línea por palabras.
+ * El texto admite valores por imagen: "{title}" se sustituye por values.title y la capa
+ * se omite si falta alguno de sus valores; {name} es el nombre del archivo sin extensión
+ */
+export class ImageText {
+	static WEIGHTS = ['normal', 'bold']
+
+	/**
+	 * Escribe un texto sobre un archivo (mantiene el formato de la salida según su extensión)
+	 * @param {string} inputPath - Ruta de entrada
+	 * @param {string} outputPath - Ruta de salida
+	 * @param {Object} options - Opciones de getComposites() más `values`, `metadata`
+	 * (política de MetadataPolicy) y `autoOrient` (false para no girar según la orientación EXIF)
+	 * @returns {Promise<Object>} Resultado
+	 */
+	static async text(inputPath, outputPath, options = {}) {
+		try {
+			const text = this.fill(options.text, this.getValues(inputPath, options.values))
+			Logger.progress(text === null ? 'Texto omitido: faltan valores' : `Escribiendo "${text}"...`)
+
+			const metadataPolicy = await MetadataPolicy.resolve(inputPath, options.metadata)
+			MetadataPolicy.log(metadataPolicy)
+
+			const size = await Orientation.getDimensions(inputPath, options.autoOrient)
+			const composites = text === null ? [] : await this.getComposites(size, { ...options, text })
+
+			const pipeline = ImageWatermark.applyWatermark(
+				Orientation.apply(MetadataPolicy.apply(sharp(inputPath), metadataPolicy), options.autoOrient),
+				composites,
+			)
+
+			const info = await pipeline.toFile(outputPath)
+
+			return {
+				success: true,
+				text,
+				dimensions: { width: info.width, height: info.height },
+				originalSize: (await sharp(inputPath).metadata()).size,
+				optimizedSize: info.size,
+				format: info.format,
+				metadataPolicy: MetadataPolicy.summarize(metadataPolicy),
+			}
+		} catch (error) {
+			Logger.error(`Error escribiendo texto: ${error.message}`)
+			throw error
+		}
+	}
+
+	/**
+	 * Rellena los textos de los pasos `text` con los valores de una imagen
+	 * (operations.values y {name}) y quita los que no tienen todos sus valores
+	 * @param {Object} operations - Operaciones con `steps` y opcionalmente `values`
+	 * @param {string|Buffer} input - Ruta de la imagen ({name} solo existe con rutas)
+	 * @returns {Object} Operaciones para esa imagen
+	 */
+	static forImage(operations, input) {
+		if (!operations.steps?.some(step => step.type === 'text')) return operations
+
+		const values = this.getValues(input, operations.values)
+		const steps = operations.steps
+			.map(step => (step.type === 'text' ? { ...step, text: this.fill(step.text, values) } : step))
+			.filter(step => step.text !== null)
+
+		return { ...operations, steps }
+	}
+
+	/**
+	 * Sustituye los {valores} de un texto
+	 * @param {string} template - Texto con marcadores {clave}
+	 * @param {Object} values - Valores por clave
+	 * @returns {string|null} Texto final o null si falta algún valor (o está vacío)
+	 */
+	static fill(template, values = {}) {
+		let missing = false
+		const text = String(template).replace(/\{(\w+)\}/g, (match, key) => {
+			const value = values[key]
+			if (value === undefined || value === null || String(value).trim() === '') missing = true
+			return missing ? '' : String(value)
+		})
+
+		return missing || text.trim() === '' ? null : text
+	}
+
+	/**
+	 * Capa del texto para una imagen de unas dimensiones: SVG con las líneas ya ajustadas
+	 * al ancho máximo, reducido si aun así no cabe
+	 * @param {{width: number, height: number}} size - Dimensiones de la imagen
+	 * @param {Object} options - Opciones
+	 * @param {string} options.text - Texto ya rellenado (ver fill())
+	 * @param {string} options.font - Familia tipográfica, por defecto sans-serif
+	 * @param {number} options.fontSize - Tamaño en píxeles, por defecto 48
+	 * @param {string} options.weight - normal o bold
+	 * @param {string} options.color - Color del texto, por defecto #ffffff
+	 * @param {string} options.stroke - Color del contorno
+	 * @param {number} options.strokeWidth - Grosor del contorno (por defecto 1/16 del tamaño si hay stroke)
+	 * @param {string} options.background - Color de la caja de fondo (p. ej. rgba(0,0,0,0.6))
+	 * @param {number} options.padding - Espacio entre el texto y el borde de la caja
+	 * @param {string} options.gravity - Posición (ImageWatermark.GRAVITIES), por defecto south
+	 * @param {number} options.margin - Distancia al borde de la imagen, por defecto 20
+	 * @param {number} options.maxWidth - Ancho máximo de la caja (por defecto, el de la imagen sin márgenes)
+	 * @param {number} options.lineHeight - Interlineado respecto al tamaño, por defecto 1.2
+	 * @returns {Promise<Array<Object>>} Capas para sharp.composite()
+	 */
+	static async getComposites(size, options) {
+		const {
+			text,
+			font = 'sans-serif',
+			fontSize = 48,
+			weight = 'normal',
+			color = '#ffffff',
+			stroke = null,
+			strokeWidth = stroke ? Math.max(1, Math.round(fontSize / 16)) : 0,
+			background = null,
+			padding = background ? Math.round(fontSize * 0.4) : 0,
+			gravity = 'south',
+			margin = 20,
+			lineHeight = 1.2,
+		} = options
+
+		const room = {
+			width: Math.max(1, size.width - 2 * margin),
+			height: Math.max(1, size.height - 2 * margin),
+		}
+		const maxWidth = Math.min(options.maxWidth ?? room.width, room.width)
+		const inset = padding + Math.ceil(strokeWidth / 2)
+		const measure = line => this.measure(line, font, fontSize, weight)
+
+		const lines = await this.wrap(text, maxWidth - 2 * inset, measure)
+		const widths = await Promise.all(lines.map(measure))
+		const lineBox = Math.round(fontSize * lineHeight)
+
+		const box = {
+			width: Math.max(...widths) + 2 * inset,
+			height: lines.length * lineBox + 2 * inset,
+		}
+
+		const [anchor, x] = gravity.includes('west')
+			? ['start', inset]
+			: gravity.includes('east')
+				? ['end', box.width - inset]
+				: ['middle', Math.round(box.width / 2)]
+
+		// Línea base: el texto centrado en su línea (ascendente aproximado de 0.8em)
+		const baseline = index =>
+			Math.round(inset + index * lineBox + (lineBox - fontSize) / 2 + fontSize * 0.8)
+
+		const svg = [
+			`<svg xmlns="http://www.w3.org/2000/svg" width="${box.width}" height="${box.height}">`,
+			background ? `<rect width="100%" height="100%" fill="${this.escape(background)}"/>` : '',
+			`<text font-family="${this.escape(font)}" font-size="${fontSize}" font-weight="${weight}"`,
+			` fill="${this.escape(color)}" text-anchor="${anchor}"`,
+			stroke
+				? ` stroke="${this.escape(stroke)}" stroke-width="${strokeWidth}" stroke-linejoin="round" paint-order="stroke">`
+				: '>',
+			...lines.map((line, index) => `<tspan x="${x}" y="${baseline(index)}">${this.escape(line)}</tspan>`),
+			'</text></svg>',
+		].join('')
+
+		let layer
+		try {
+			layer = await sharp(Buffer.from(svg))
+				.resize({ width: room.width, height: room.height, fit: 'inside', withoutEnlargement: true })
+				.png()
+				.toBuffer({ resolveWithObject: true })
+		} catch (error) {
+			throw new Error(`No se puede renderizar el texto "${text}": ${error.message}`)
+		}
+
+		return [{ input: layer.data, ...ImageWatermark.getPosition(size, layer.info, gravity, margin) }]
+	}
+
+	/**
+	 * Reparte un texto en líneas de como mucho `maxWidth` píxeles, por palabras
+	 * (una palabra más ancha ocupa su propia línea). Los saltos de línea del texto se respetan
+	 * @private
+	 */
+	static async wrap(text, maxWidth, measure) {
+		const lines = []
+
+		for (const paragraph of text.split('\n')) {
+			let line = ''
+
+			for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+				const candidate = line ? `${line} ${word}` : word
+				if (line && (await measure(candidate)) > maxWidth) {
+					lines.push(line)
+					line = word
+				} else {
+					line = candidate
+				}
+			}
+
+			lines.push(line)
+		}
+
+		return lines
+	}
+
+	/**
+	 * Ancho en píxeles de una línea con Pango, el mismo motor de texto que usa librsvg para el SVG
+	 * @private
+	 */
+	static async measure(line, font, size, weight) {
+		if (!line) return 0
+
+		const { width } = await sharp({
+			text: { text: this.escape(line), font: `${font}, ${weight} ${size}`, dpi: 72 },
+		}).metadata()
+
+		return width
+	}
+
+	/**
+	 * Valores de una imagen: los indicados más {name} (nombre del archivo sin extensión)
+	 * @private
+	 */
+	static getValues(input, values = {}) {
+		return typeof input === 'string' ? { name: basename(input, extname(input)), ...values } : values
+	}
+
+	/**
+	 * @private
+	 */
+	static escape(value) {
+		return String(value)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;')
+			.replace(/'/g, '&apos;')
+	}
+}
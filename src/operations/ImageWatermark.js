@@ -0,0 +1,171 @@
+import sharp from 'sharp'
+import { Logger } from '../utils/Logger.js'
+import { MetadataPolicy } from '../core/MetadataPolicy.js'
+import { Orientation } from '../core/Orientation.js'
+
+/**
+ * Marca de agua: compone un overlay PNG o SVG sobre la imagen, en una esquina o lado
+ * (gravity + margin) o en mosaico (tile), escalado respecto al ancho de la imagen y con opacidad
+ */
+export class ImageWatermark {
+	static GRAVITIES = [
+		'center',
+		'north',
+		'northeast',
+		'east',
+		'southeast',
+		'south',
+		'southwest',
+		'west',
+		'northwest',
+	]
+
+	/**
+	 * Aplica una marca de agua a un archivo (mantiene el formato de la salida según su extensión)
+	 * @param {string} inputPath - Ruta de entrada
+	 * @param {string} outputPath - Ruta de salida
+	 * @param {Object} options - Opciones de getComposites() más `metadata` (política de MetadataPolicy)
+	 * y `autoOrient` (false para no girar según la orientación EXIF)
+	 * @returns {Promise<Object>} Resultado
+	 */
+	static async watermark(inputPath, outputPath, options = {}) {
+		try {
+			Logger.progress(`Aplicando marca de agua ${options.overlay}...`)
+
+			const metadataPolicy = await MetadataPolicy.resolve(inputPath, options.metadata)
+			MetadataPolicy.log(metadataPolicy)
+
+			const size = await Orientation.getDimensions(inputPath, options.autoOrient)
+			const composites = await this.getComposites(size, options)
+
+			const pipeline = this.applyWatermark(
+				Orientation.apply(MetadataPolicy.apply(sharp(inputPath), metadataPolicy), options.autoOrient),
+				composites,
+			)
+
+			const info = await pipeline.toFile(outputPath)
+
+			return {
+				success: true,
+				watermarked: composites.length > 0,
+				dimensions: { width: info.width, height: info.height },
+				originalSize: (await sharp(inputPath).metadata()).size,
+				optimizedSize: info.size,
+				format: info.format,
+				metadataPolicy: MetadataPolicy.summarize(metadataPolicy),
+			}
+		} catch (error) {
+			Logger.error(`Error en marca de agua: ${error.message}`)
+			throw error
+		}
+	}
+
+	/**
+	 * Compone las capas de getComposites() sobre una pipeline
+	 * @param {sharp.Sharp} pipeline - Pipeline de sharp
+	 * @param {Array<Object>} composites - Capas (vacío: la imagen no cambia)
+	 * @returns {sharp.Sharp}
+	 */
+	static applyWatermark(pipeline, composites) {
+		return composites.length > 0 ? pipeline.composite(composites) : pipeline
+	}
+
+	/**
+	 * Prepara el overlay para una imagen de unas dimensiones: lo escala, le aplica la opacidad
+	 * y calcula su posición. Nunca sale de la imagen (se reduce si no cabe)
+	 * @param {{width: number, height: number}} size - Dimensiones de la imagen
+	 * @param {Object} options - Opciones
+	 * @param {string} options.overlay - Ruta del PNG o SVG
+	 * @param {string} options.gravity - Posición (GRAVITIES), por defecto southeast
+	 * @param {number} options.margin - Distancia en píxeles al borde (o entre copias con tile), por defecto 20
+	 * @param {number} options.scale - Ancho del overlay respecto al de la imagen (0-1); sin él, su tamaño real
+	 * @param {number} options.opacity - Opacidad (0-1), por defecto 1
+	 * @param {boolean} options.tile - Repetir el overlay por toda la imagen
+	 * @param {number} options.minWidth - No marcar imágenes más estrechas
+	 * @param {number} options.minHeight - No marcar imágenes más bajas
+	 * @returns {Promise<Array<Object>>} Capas para sharp.composite() ([] si la imagen es menor que el mínimo)
+	 * @throws {Error} Si el overlay no se puede leer
+	 */
+	static async getComposites(size, options) {
+		const {
+			overlay,
+			gravity = 'southeast',
+			margin = 20,
+			scale = null,
+			opacity = 1,
+			tile = false,
+			minWidth = 0,
+			minHeight = 0,
+		} = options
+
+		if (size.width < minWidth || size.height < minHeight) {
+			Logger.info(
+				`Marca de agua omitida: ${size.width}x${size.height}px es menor que el mínimo (${minWidth || 'auto'}x${minHeight || 'auto'})`,
+			)
+			return []
+		}
+
+		let metadata
+		try {
+			metadata = await sharp(overlay).metadata()
+		} catch (error) {
+			throw new Error(`No se puede leer el overlay ${overlay}: ${error.message}`)
+		}
+
+		// Espacio disponible: la imagen menos los márgenes (con tile, el hueco entre copias)
+		const room = {
+			width: Math.max(1, size.width - (tile ? margin : 2 * margin)),
+			height: Math.max(1, size.height - (tile ? margin : 2 * margin)),
+		}
+		const width = Math.min(scale ? Math.round(size.width * scale) : metadata.width, room.width)
+
+		// Los SVG se rasterizan ya al tamaño final para que no pierdan nitidez
+		const density = metadata.format === 'svg' ? Math.min(100000, (72 * width) / metadata.width) : undefined
+
+		let image = sharp(overlay, { density })
+			.ensureAlpha()
+			.resize({ width: Math.max(1, width), height: room.height, fit: 'inside' })
+
+		// En mosaico, el margen es el hueco a la derecha y debajo de cada copia
+		if (tile && margin > 0) {
+			image = image.extend({ right: margin, bottom: margin, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+		}
+
+		if (opacity < 1) {
+			image = image.composite([
+				{
+					input: Buffer.from([0, 0, 0, Math.round(255 * opacity)]),
+					raw: { width: 1, height: 1, channels: 4 },
+					tile: true,
+					blend: 'dest-in',
+				},
+			])
+		}
+
+		const { data, info } = await image.png().toBuffer({ resolveWithObject: true })
+
+		if (tile) {
+			return [{ input: data, tile: true, gravity: 'northwest' }]
+		}
+
+		return [{ input: data, ...this.getPosition(size, info, gravity, margin) }]
+	}
+
+	/**
+	 * Posición de una capa según la gravedad y el margen, sin salirse de la imagen
+	 * @param {{width: number, height: number}} size - Dimensiones de la imagen
+	 * @param {{width: number, height: number}} layer - Dimensiones de la capa
+	 * @param {string} gravity - Posición (GRAVITIES)
+	 * @param {number} margin - Distancia al borde en píxeles
+	 * @returns {{left: number, top: number}}
+	 */
+	static getPosition(size, layer, gravity, margin) {
+		const offset = (start, end, free) =>
+			Math.min(Math.max(start ? margin : end ? free - margin : Math.round(free / 2), 0), free)
+
+		return {
+			left: offset(gravity.includes('west'), gravity.includes('east'), size.width - layer.width),
+			top: offset(gravity.startsWith('north'), gravity.startsWith('south'), size.height - layer.height),
+		}
+	}
+}
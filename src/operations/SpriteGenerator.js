@@ -0,0 +1,355 @@
+import sharp from 'sharp'
+import { writeFile } from 'fs/promises'
+import { basename, dirname } from 'path'
+import { Orientation } from '../core/Orientation.js'
+import { FileManager } from '../utils/fileManager.js'
+import { Logger } from '../utils/Logger.js'
+import { PathUtils } from '../utils/PathUtils.js'
+import { WorkerPool } from '../utils/WorkerPool.js'
+
+/**
+ * Generador de sprites (atlas de texturas): empaqueta las imágenes de un directorio en una sola,
+ * con un mapa JSON de coordenadas (formato "hash" de TexturePacker, que leen Phaser, PixiJS...)
+ * y una hoja CSS con una clase por icono
+ *
+ * Con retina las imágenes de origen se consideran a doble densidad: se escribe el atlas a su
+ * tamaño (nombre@2x.png) y otro a la mitad (nombre.png), y el CSS usa el @2x en pantallas 2x.
+ * Las coordenadas del JSON y del CSS son las del atlas 1x
+ */
+export class SpriteGenerator {
+	static FORMATS = ['png', 'webp']
+	static DEFAULT_PADDING = 2
+	static DEFAULT_PREFIX = 'icon'
+
+	/**
+	 * Genera el atlas, su mapa JSON y su CSS
+	 * @param {string} inputDir - Directorio con las imágenes
+	 * @param {string} outputPath - Ruta del atlas (.png o .webp); el JSON y el CSS se escriben al lado
+	 * @param {Object} options - Opciones
+	 * @param {number} options.padding - Separación entre imágenes y con los bordes, en px del atlas 1x
+	 * @param {boolean} options.powerOfTwo - Ancho y alto del atlas potencias de 2 (texturas de juegos)
+	 * @param {boolean} options.trim - Recortar los bordes transparentes o del color de la esquina
+	 * @param {boolean} options.retina - Las imágenes de origen son 2x: escribir también el atlas 1x
+	 * (por defecto; false si son 1x y no hace falta variante retina)
+	 * @param {string} options.prefix - Prefijo de las clases CSS
+	 * @param {Object} options.scanOptions - Opciones de búsqueda en el directorio (ver FileManager)
+	 * @param {boolean} options.autoOrient - false para no girar según la orientación EXIF
+	 * @returns {Promise<Object>} { image, image2x, json, css, width, height, sprites }
+	 */
+	static async generate(inputDir, outputPath, options = {}) {
+		const {
+			padding = this.DEFAULT_PADDING,
+			powerOfTwo = false,
+			trim = false,
+			retina = true,
+			prefix = this.DEFAULT_PREFIX,
+			scanOptions = {},
+			autoOrient,
+		} = options
+
+		const format = this.getFormat(outputPath)
+		const files = await this.getFiles(inputDir, outputPath, { retina, scanOptions })
+		const scale = retina ? 2 : 1
+		const names = this.getClassNames(files.images, prefix)
+
+		Logger.progress(`Empaquetando ${files.images.length} imágenes${trim ? ' (con recorte)' : ''}...`)
+
+		const sprites = await WorkerPool.map(files.images, async (image, index) => ({
+			name: image.relativePath,
+			className: names[index],
+			...(await this.load(image.path, { trim, scale, autoOrient })),
+		}))
+
+		const { width, height } = this.pack(sprites, { padding, powerOfTwo })
+
+		await new FileManager().ensureDirectoryExists(dirname(outputPath))
+		await this.writeAtlas(files.image, sprites, width, height, format, 1)
+		if (retina) {
+			await this.writeAtlas(files.image2x, sprites, width * scale, height * scale, format, scale)
+		}
+
+		const map = this.buildMap(sprites, { width, height, image: basename(files.image) })
+		await writeFile(files.json, JSON.stringify(map, null, 2) + '\n')
+		await writeFile(files.css, this.buildCss(sprites, { width, height, prefix, ...this.getUrls(files) }))
+
+		Logger.success(`Sprite creado: ${files.image} (${width}x${height}px, ${sprites.length} imágenes)`)
+
+		return {
+			image: files.image,
+			image2x: files.image2x,
+			json: files.json,
+			css: files.css,
+			width,
+			height,
+			sprites: sprites.map(({ data, ...sprite }) => sprite),
+		}
+	}
+
+	/**
+	 * Archivos que escribiría generate(), sin escribir nada (para --dry-run)
+	 * @param {string} inputDir - Directorio con las imágenes
+	 * @param {string} outputPath - Ruta del atlas
+	 * @param {Object} options - Mismas opciones que generate()
+	 * @returns {Promise<{images: Array<Object>, files: Array<{path: string, kind: string}>}>}
+	 * kind: image, image2x, json o css
+	 */
+	static async plan(inputDir, outputPath, options = {}) {
+		this.getFormat(outputPath)
+		const files = await this.getFiles(inputDir, outputPath, options)
+		this.getClassNames(files.images, options.prefix ?? this.DEFAULT_PREFIX)
+
+		return {
+			images: files.images,
+			files: ['image', 'image2x', 'json', 'css']
+				.filter(kind => files[kind])
+				.map(kind => ({ path: files[kind], kind })),
+		}
+	}
+
+	/**
+	 * Coloca los sprites por filas (de mayor a menor alto) y añade x, y a cada uno.
+	 * El ancho de fila objetivo es el lado de un cuadrado con el área de todos
+	 * @param {Array<Object>} sprites - Sprites { width, height }
+	 * @param {Object} options - { padding, powerOfTwo }
+	 * @returns {{width: number, height: number}} Dimensiones del atlas 1x
+	 */
+	static pack(sprites, { padding = 0, powerOfTwo = false } = {}) {
+		const area = sprites.reduce((sum, s) => sum + (s.width + padding) * (s.height + padding), 0)
+		const widest = Math.max(...sprites.map(sprite => sprite.width))
+		let rowWidth = Math.max(widest, Math.ceil(Math.sqrt(area))) + padding * 2
+		if (powerOfTwo) rowWidth = this.nextPowerOfTwo(rowWidth)
+
+		const ordered = [...sprites].sort((a, b) => b.height - a.height || b.width - a.width)
+		let x = padding
+		let y = padding
+		let rowHeight = 0
+		let width = 0
+
+		for (const sprite of ordered) {
+			if (x > padding && x + sprite.width + padding > rowWidth) {
+				x = padding
+				y += rowHeight + padding
+				rowHeight = 0
+			}
+
+			Object.assign(sprite, { x, y })
+			x += sprite.width + padding
+			rowHeight = Math.max(rowHeight, sprite.height)
+			width = Math.max(width, x)
+		}
+
+		const height = y + rowHeight + padding
+		return powerOfTwo
+			? { width: this.nextPowerOfTwo(width), height: this.nextPowerOfTwo(height) }
+			: { width, height }
+	}
+
+	/**
+	 * Mapa de coordenadas en el formato "hash" de TexturePacker
+	 * @param {Array<Object>} sprites - Sprites colocados
+	 * @param {Object} atlas - { width, height, image }
+	 * @returns {Object} { frames: { nombre: { frame, rotated, trimmed, spriteSourceSize, sourceSize } }, meta }
+	 */
+	static buildMap(sprites, { width, height, image }) {
+		const frames = {}
+
+		for (const sprite of sprites) {
+			frames[sprite.name] = {
+				frame: { x: sprite.x, y: sprite.y, w: sprite.width, h: sprite.height },
+				rotated: false,
+				trimmed: sprite.trimmed,
+				spriteSourceSize: {
+					x: sprite.offset.x,
+					y: sprite.offset.y,
+					w: sprite.width,
+					h: sprite.height,
+				},
+				sourceSize: { w: sprite.source.width, h: sprite.source.height },
+				className: sprite.className,
+			}
+		}
+
+		return { frames, meta: { image, size: { w: width, h: height }, scale: '1' } }
+	}
+
+	/**
+	 * Hoja CSS: una clase base con el atlas, una por sprite con su tamaño y posición y,
+	 * si hay atlas 2x, la media query que lo usa con el mismo background-size
+	 * @param {Array<Object>} sprites - Sprites colocados
+	 * @param {Object} options - { width, height, prefix, url, url2x }
+	 * @returns {string} CSS
+	 */
+	static buildCss(sprites, { width, height, prefix = this.DEFAULT_PREFIX, url, url2x = null }) {
+		const rules = [
+			`.${prefix} {\n\tdisplay: inline-block;\n\tbackground-image: url('${url}');\n` +
+				`\tbackground-repeat: no-repeat;\n}`,
+			...sprites.map(
+				sprite =>
+					`.${sprite.className} {\n\twidth: ${sprite.width}px;\n\theight: ${sprite.height}px;\n` +
+					`\tbackground-position: ${this.toPosition(sprite.x)} ${this.toPosition(sprite.y)};\n}`,
+			),
+		]
+
+		if (url2x) {
+			rules.push(
+				'@media (-webkit-min-device-pixel-ratio: 2), (min-resolution: 192dpi) {\n' +
+					`\t.${prefix} {\n\t\tbackground-image: url('${url2x}');\n` +
+					`\t\tbackground-size: ${width}px ${height}px;\n\t}\n}`,
+			)
+		}
+
+		return rules.join('\n\n') + '\n'
+	}
+
+	/**
+	 * Rutas de salida y las imágenes que se empaquetan (sin las salidas de una ejecución
+	 * anterior, si se escriben dentro del mismo directorio)
+	 * @private
+	 */
+	static async getFiles(inputDir, outputPath, { retina = true, scanOptions = {} } = {}) {
+		const fileManager = new FileManager()
+		if (!(await fileManager.isDirectory(inputDir))) {
+			throw new Error(`La ruta no es un directorio: ${inputDir}`)
+		}
+
+		const files = {
+			image: outputPath,
+			image2x: retina ? PathUtils.addSuffix(outputPath, '@2x') : null,
+			json: PathUtils.changeExtension(outputPath, 'json'),
+			css: PathUtils.changeExtension(outputPath, 'css'),
+		}
+
+		const outputs = new Set([files.image, files.image2x].filter(Boolean).map(PathUtils.normalizePath))
+		const images = (await fileManager.getImagesFromDirectory(inputDir, scanOptions)).filter(
+			image => !outputs.has(PathUtils.normalizePath(image.path)),
+		)
+
+		if (images.length === 0) {
+			throw new Error(`No se encontraron imágenes en: ${inputDir}`)
+		}
+
+		return { ...files, images }
+	}
+
+	/**
+	 * Clases CSS a partir de la ruta relativa ("sub/arrow up.png" → "icon-sub-arrow-up")
+	 * @private
+	 * @throws {Error} Si dos imágenes dan la misma clase
+	 */
+	static getClassNames(images, prefix) {
+		const seen = new Map()
+
+		return images.map(image => {
+			const slug = image.relativePath
+				.replace(/\.[^./\\]+$/, '')
+				.normalize('NFD')
+				.replace(/[\u0300-\u036f]/g, '')
+				.toLowerCase()
+				.replace(/[^a-z0-9]+/g, '-')
+				.replace(/^-|-$/g, '')
+			const className = `${prefix}-${slug}`
+
+			if (seen.has(className)) {
+				throw new Error(
+					`${seen.get(className)} y ${image.relativePath} dan la misma clase CSS (${className}): renombra una`,
+				)
+			}
+			seen.set(className, image.relativePath)
+
+			return className
+		})
+	}
+
+	/**
+	 * Lee una imagen (RGBA) recortada si se pide, a tamaño 2x y 1x
+	 * @private
+	 */
+	static async load(path, { trim, scale, autoOrient }) {
+		let pipeline = Orientation.apply(sharp(path), autoOrient).ensureAlpha()
+		if (trim) pipeline = pipeline.trim()
+
+		const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true })
+		const { width: sourceWidth, height: sourceHeight } = await Orientation.getDimensions(path, autoOrient)
+		const raw = { raw: { width: info.width, height: info.height, channels: 4 } }
+
+		// Tamaño 1x: la mitad redondeada hacia arriba (el hueco 2x puede sobrar en 1 px)
+		const width = Math.ceil(info.width / scale)
+		const height = Math.ceil(info.height / scale)
+		const data1x =
+			scale === 1 ? data : await sharp(data, raw).resize({ width, height, fit: 'fill' }).raw().toBuffer()
+
+		return {
+			width,
+			height,
+			trimmed: info.width !== sourceWidth || info.height !== sourceHeight,
+			offset: {
+				x: Math.round(-(info.trimOffsetLeft ?? 0) / scale),
+				y: Math.round(-(info.trimOffsetTop ?? 0) / scale),
+			},
+			source: { width: Math.ceil(sourceWidth / scale), height: Math.ceil(sourceHeight / scale) },
+			data: {
+				[scale]: { input: data, ...raw },
+				1: { input: data1x, raw: { width, height, channels: 4 } },
+			},
+		}
+	}
+
+	/**
+	 * Compone y escribe un atlas a una escala
+	 * @private
+	 */
+	static async writeAtlas(path, sprites, width, height, format, scale) {
+		const composites = sprites.map(sprite => ({
+			...sprite.data[scale],
+			left: sprite.x * scale,
+			top: sprite.y * scale,
+		}))
+
+		const atlas = sharp({
+			create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } },
+		}).composite(composites)
+
+		// Sin pérdida: los bordes de un sprite no deben mezclarse con los vecinos
+		const encoded = format === 'webp' ? atlas.webp({ lossless: true }) : atlas.png({ compressionLevel: 9 })
+		await encoded.toFile(path)
+	}
+
+	/**
+	 * URLs del CSS: los atlas están junto a la hoja
+	 * @private
+	 */
+	static getUrls(files) {
+		return {
+			url: basename(files.image),
+			url2x: files.image2x ? basename(files.image2x) : null,
+		}
+	}
+
+	/**
+	 * @private
+	 * @throws {Error} Si el formato del atlas no es png ni webp
+	 */
+	static getFormat(outputPath) {
+		const format = PathUtils.getExtension(outputPath)
+		if (!this.FORMATS.includes(format)) {
+			throw new Error(
+				`Formato de sprite no soportado: ${format || 'sin extensión'}. Opciones: ${this.FORMATS.join(', ')}`,
+			)
+		}
+		return format
+	}
+
+	/**
+	 * @private
+	 */
+	static toPosition(value) {
+		return value === 0 ? '0' : `-${value}px`
+	}
+
+	/**
+	 * @private
+	 */
+	static nextPowerOfTwo(value) {
+		return 2 ** Math.ceil(Math.log2(Math.max(value, 1)))
+	}
+}
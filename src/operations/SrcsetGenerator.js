@@ -0,0 +1,213 @@
+import { writeFile } from 'fs/promises'
+import { join } from 'path'
+import { ImagePipeline } from '../core/ImagePipeline.js'
+import { Orientation } from '../core/Orientation.js'
+import { FileManager } from '../utils/fileManager.js'
+import { HtmlUtils } from '../utils/HtmlUtils.js'
+import { Logger } from '../utils/Logger.js'
+import { PathUtils } from '../utils/PathUtils.js'
+import { WorkerPool } from '../utils/WorkerPool.js'
+
+/**
+ * Generador de conjuntos de imágenes responsive (srcset) con manifest JSON
+ * y elemento <picture> listo para pegar
+ */
+export class SrcsetGenerator {
+	static DEFAULT_WIDTHS = [320, 640, 1280]
+	static DEFAULT_FORMATS = ['avif', 'webp', 'jpeg']
+
+	static MIME_TYPES = {
+		avif: 'image/avif',
+		webp: 'image/webp',
+		jpeg: 'image/jpeg',
+		jpg: 'image/jpeg',
+		png: 'image/png',
+	}
+
+	// Formatos que cualquier navegador entiende, preferidos para el <img> de respaldo
+	static FALLBACK_FORMATS = ['jpeg', 'jpg', 'png']
+
+	/**
+	 * Genera todas las variantes ancho × formato de una imagen
+	 * @param {string} inputPath - Ruta de entrada
+	 * @param {string} outputDir - Directorio de salida
+	 * @param {Object} options - Opciones
+	 * @param {Array<number>} options.widths - Anchos deseados (nunca se amplía la imagen)
+	 * @param {Array<string>} options.formats - Formatos de salida, del más moderno al de respaldo
+	 * @param {number} options.quality - Calidad de codificación
+	 * @param {string} options.sizes - Atributo sizes del <picture>
+	 * @param {string} options.baseUrl - Prefijo de las URLs en srcset
+	 * @param {boolean} options.html - Escribir también el elemento <picture>
+	 * @param {string} options.alt - Texto alternativo del <img>
+	 * @param {string} options.metadata - Política de metadatos (ver MetadataPolicy)
+	 * @param {boolean} options.autoOrient - false para no girar según la orientación EXIF
+	 * @param {boolean} options.firstFrame - Solo el primer fotograma de un GIF o WebP animado
+	 * @returns {Promise<Object>} Manifest generado
+	 */
+	static async generate(inputPath, outputDir, options = {}) {
+		const {
+			widths = this.DEFAULT_WIDTHS,
+			formats = this.DEFAULT_FORMATS,
+			quality,
+			sizes = '100vw',
+			baseUrl = '',
+			html = false,
+			alt = '',
+			metadata: metadataPolicy,
+			autoOrient,
+			firstFrame,
+		} = options
+
+		await new FileManager().ensureDirectoryExists(outputDir)
+
+		const name = PathUtils.getBaseName(inputPath)
+		const metadata = await Orientation.getDimensions(inputPath, autoOrient)
+		const targetWidths = this.getTargetWidths(widths, metadata.width)
+
+		Logger.progress(`Generando ${targetWidths.length} anchos × ${formats.length} formatos: ${name}`)
+
+		const variants = formats.flatMap(format => targetWidths.map(width => ({ format, width })))
+
+		const results = await WorkerPool.map(variants, async ({ format, width }) => {
+			const fileName = `${name}-${width}w.${this.getExtension(format)}`
+			const operations = {
+				resize: { width, height: null, options: { fit: 'inside', withoutEnlargement: true } },
+				convert: { format, options: quality ? { quality } : {} },
+				metadata: metadataPolicy,
+				autoOrient,
+				firstFrame,
+			}
+			const info = await ImagePipeline.toFile(inputPath, join(outputDir, fileName), operations)
+
+			return {
+				format,
+				width: info.width,
+				height: info.height,
+				size: info.size,
+				file: fileName,
+				url: HtmlUtils.joinUrl(baseUrl, fileName),
+			}
+		})
+
+		const manifest = {
+			source: inputPath,
+			width: metadata.width,
+			height: metadata.height,
+			sizes,
+			formats: {},
+			srcset: {},
+			fallback: null,
+		}
+
+		for (const format of formats) {
+			const entries = results.filter(r => r.format === format)
+			manifest.formats[format] = entries
+			manifest.srcset[format] = entries.map(e => `${e.url} ${e.width}w`).join(', ')
+		}
+
+		const fallbackFormat =
+			formats.find(f => this.FALLBACK_FORMATS.includes(f)) || formats[formats.length - 1]
+		const fallbackEntries = manifest.formats[fallbackFormat]
+		const largest = fallbackEntries[fallbackEntries.length - 1]
+		manifest.fallback = {
+			format: fallbackFormat,
+			url: largest.url,
+			width: largest.width,
+			height: largest.height,
+		}
+
+		const manifestPath = join(outputDir, `${name}.srcset.json`)
+		await writeFile(manifestPath, JSON.stringify(manifest, null, 2))
+		Logger.success(`Manifest creado: ${manifestPath}`)
+
+		if (html) {
+			const htmlPath = join(outputDir, `${name}.picture.html`)
+			await writeFile(htmlPath, this.buildPictureElement(manifest, { alt }) + '\n')
+			Logger.success(`Elemento <picture> creado: ${htmlPath}`)
+		}
+
+		return manifest
+	}
+
+	/**
+	 * Archivos que escribiría generate(), sin escribir nada (para --dry-run)
+	 * @param {string} inputPath - Ruta de entrada
+	 * @param {string} outputDir - Directorio de salida
+	 * @param {Object} options - Mismas opciones que generate()
+	 * @returns {Promise<Array<{path: string, kind: string, format?: string, width?: number}>>}
+	 * kind: variant, manifest o html (elemento <picture>)
+	 */
+	static async plan(inputPath, outputDir, options = {}) {
+		const { widths = this.DEFAULT_WIDTHS, formats = this.DEFAULT_FORMATS, html = false } = options
+
+		const name = PathUtils.getBaseName(inputPath)
+		const metadata = await Orientation.getDimensions(inputPath, options.autoOrient)
+		const targetWidths = this.getTargetWidths(widths, metadata.width)
+
+		const files = formats.flatMap(format =>
+			targetWidths.map(width => ({
+				path: join(outputDir, `${name}-${width}w.${this.getExtension(format)}`),
+				kind: 'variant',
+				format,
+				width,
+			})),
+		)
+
+		files.push({ path: join(outputDir, `${name}.srcset.json`), kind: 'manifest' })
+		if (html) {
+			files.push({ path: join(outputDir, `${name}.picture.html`), kind: 'html' })
+		}
+
+		return files
+	}
+
+	/**
+	 * Calcula los anchos a generar sin ampliar la imagen original.
+	 * Si algún ancho pedido supera al original, se usa el ancho original como mayor variante
+	 * @param {Array<number>} widths - Anchos pedidos
+	 * @param {number} originalWidth - Ancho de la imagen original
+	 * @returns {Array<number>} Anchos ordenados y sin duplicados
+	 */
+	static getTargetWidths(widths, originalWidth) {
+		const valid = widths.filter(w => w <= originalWidth)
+
+		if (valid.length < widths.length) {
+			valid.push(originalWidth)
+		}
+
+		return [...new Set(valid)].sort((a, b) => a - b)
+	}
+
+	/**
+	 * Construye el elemento <picture> a partir de un manifest
+	 * @param {Object} manifest - Manifest devuelto por generate()
+	 * @param {Object} options - Opciones { alt }
+	 * @returns {string} HTML
+	 */
+	static buildPictureElement(manifest, options = {}) {
+		const { fallback } = manifest
+		const alt = HtmlUtils.escapeAttribute(options.alt || '')
+		const sizes = HtmlUtils.escapeAttribute(manifest.sizes)
+		const srcset = format => HtmlUtils.escapeAttribute(manifest.srcset[format])
+
+		const sources = Object.keys(manifest.formats)
+			.filter(format => format !== fallback.format)
+			.map(
+				format =>
+					`  <source type="${this.MIME_TYPES[format]}" srcset="${srcset(format)}" sizes="${sizes}">`,
+			)
+
+		const img =
+			`  <img src="${HtmlUtils.escapeAttribute(fallback.url)}" srcset="${srcset(fallback.format)}" sizes="${sizes}"` +
+			` width="${fallback.width}" height="${fallback.height}" alt="${alt}" loading="lazy" decoding="async">`
+
+		return ['<picture>', ...sources, img, '</picture>'].join('\n')
+	}
+
+	/**
+	 * @private
+	 */
+	static getExtension(format) {
+		return format === 'jpeg' ? 'jpg' : format
+	}
+}
@@ -0,0 +1,235 @@
+import sharp from 'sharp'
+import { createHash } from 'crypto'
+import { createReadStream } from 'fs'
+import { readFile, writeFile, rename, stat } from 'fs/promises'
+import { join, relative } from 'path'
+import { Logger } from './Logger.js'
+
+/**
+ * Manifest de caché para builds incrementales, guardado en el directorio de salida.
+ * Por cada salida registra el hash del contenido de su origen y la huella de las
+ * operaciones que la generaron; si nada cambió y la salida sigue intacta, se omite
+ */
+export class BuildCache {
+	static FILE_NAME = '.imgopt-cache.json'
+	static VERSION = 1
+
+	/**
+	 * @param {string} outputDir - Directorio de salida donde vive el manifest
+	 * @param {Object} options - Opciones
+	 * @param {boolean} options.force - Ignorar la caché (se sigue actualizando para la próxima vez)
+	 */
+	constructor(outputDir, options = {}) {
+		this.outputDir = outputDir
+		this.path = join(outputDir, BuildCache.FILE_NAME)
+		this.force = options.force || false
+		this.entries = {}
+		this.changed = false
+	}
+
+	/**
+	 * Crea la caché de un directorio de salida y carga su manifest si existe
+	 * @param {string} outputDir - Directorio de salida
+	 * @param {Object} options - Opciones { force }
+	 * @returns {Promise<BuildCache>}
+	 */
+	static async open(outputDir, options = {}) {
+		const cache = new BuildCache(outputDir, options)
+		await cache.load()
+		return cache
+	}
+
+	/**
+	 * Huella de la configuración que produce una salida: operaciones, preset y versión de libvips
+	 * (una versión distinta del codificador puede generar otro resultado)
+	 * @param {Object} settings - Cualquier objeto serializable con la configuración
+	 * @returns {string} Hash hexadecimal
+	 */
+	static fingerprint(settings) {
+		return createHash('sha256')
+			.update(this.stableStringify({ settings, vips: sharp.versions.vips }))
+			.digest('hex')
+	}
+
+	/**
+	 * Hash SHA-256 del contenido de un archivo
+	 * @param {string} filePath - Ruta del archivo
+	 * @returns {Promise<string>}
+	 */
+	static hashFile(filePath) {
+		return new Promise((resolve, reject) => {
+			const hash = createHash('sha256')
+			createReadStream(filePath)
+				.on('data', chunk => hash.update(chunk))
+				.on('end', () => resolve(hash.digest('hex')))
+				.on('error', reject)
+		})
+	}
+
+	/**
+	 * Comprueba si una salida está al día
+	 * @param {string} inputPath - Imagen de origen
+	 * @param {string} outputPath - Salida que generaría
+	 * @param {string} fingerprint - Huella de la configuración (ver BuildCache.fingerprint)
+	 * @returns {Promise<{fresh: boolean, reason: string|null, hash: string, output: string}>} reason explica
+	 * por qué hay que regenerarla: new, source, settings, output o force; output es la salida
+	 * realmente escrita (con format auto su extensión es la del formato elegido)
+	 */
+	async check(inputPath, outputPath, fingerprint) {
+		const hash = await BuildCache.hashFile(inputPath)
+		const entry = this.entries[this.getKey(outputPath)]
+
+		const output = entry?.output ? join(this.outputDir, entry.output) : outputPath
+		const stale = reason => ({ fresh: false, reason, hash, output })
+
+		if (this.force) return stale('force')
+		if (!entry) return stale('new')
+		if (entry.hash !== hash) return stale('source')
+		if (entry.fingerprint !== fingerprint) return stale('settings')
+
+		// Salida borrada o modificada desde que se generó
+		try {
+			const stats = await stat(output)
+			if (stats.size !== entry.size || stats.mtimeMs !== entry.mtimeMs) return stale('output')
+		} catch {
+			return stale('output')
+		}
+
+		return { fresh: true, reason: null, hash, output }
+	}
+
+	/**
+	 * Registra una salida recién generada
+	 * @param {string} inputPath - Imagen de origen
+	 * @param {string} outputPath - Salida escrita
+	 * @param {string} hash - Hash del origen devuelto por check()
+	 * @param {string} fingerprint - Huella de la configuración
+	 * @param {string} writtenPath - Archivo escrito, si no es outputPath (p. ej. con format auto)
+	 * @returns {Promise<void>}
+	 */
+	async record(inputPath, outputPath, hash, fingerprint, writtenPath = outputPath) {
+		const stats = await stat(writtenPath)
+
+		this.entries[this.getKey(outputPath)] = {
+			source: relative(this.outputDir, inputPath),
+			...(writtenPath !== outputPath && { output: this.getKey(writtenPath) }),
+			hash,
+			fingerprint,
+			size: stats.size,
+			mtimeMs: stats.mtimeMs,
+		}
+		this.changed = true
+	}
+
+	/**
+	 * Olvida una salida (p. ej. si falló al regenerarse)
+	 * @param {string} outputPath - Salida
+	 */
+	invalidate(outputPath) {
+		const key = this.getKey(outputPath)
+		if (key in this.entries) {
+			delete this.entries[key]
+			this.changed = true
+		}
+	}
+
+	/**
+	 * Ejecuta la tarea solo si la salida no está al día y registra el resultado
+	 * @param {string} inputPath - Imagen de origen
+	 * @param {string} outputPath - Salida
+	 * @param {string} fingerprint - Huella de la configuración
+	 * @param {Function} task - Función asíncrona que genera la salida (si escribe en otra ruta,
+	 * la devuelve en `result.output`)
+	 * @returns {Promise<{skipped: boolean, reason: string|null, output: string, result?: *}>} output es
+	 * el archivo escrito (o el que se omitió)
+	 */
+	async run(inputPath, outputPath, fingerprint, task) {
+		const { fresh, reason, hash, output } = await this.check(inputPath, outputPath, fingerprint)
+
+		if (fresh) {
+			return { skipped: true, reason, output }
+		}
+
+		try {
+			const result = await task()
+			const written = typeof result?.output === 'string' ? result.output : outputPath
+			await this.record(inputPath, outputPath, hash, fingerprint, written)
+			return { skipped: false, reason, output: written, result }
+		} catch (error) {
+			this.invalidate(outputPath)
+			throw error
+		}
+	}
+
+	/**
+	 * Carga el manifest; si no existe o está corrupto se empieza de cero
+	 * @private
+	 */
+	async load() {
+		let content
+		try {
+			content = await readFile(this.path, 'utf8')
+		} catch (error) {
+			if (error.code === 'ENOENT') return
+			throw error
+		}
+
+		try {
+			const manifest = JSON.parse(content)
+			if (manifest.version === BuildCache.VERSION && manifest.entries) {
+				this.entries = manifest.entries
+			}
+		} catch (error) {
+			Logger.warn(`Manifest de caché no válido, se regenerará: ${this.path}`)
+		}
+	}
+
+	/**
+	 * Guarda el manifest si hubo cambios (escritura atómica: archivo temporal + rename)
+	 * @returns {Promise<void>}
+	 */
+	async save() {
+		if (!this.changed) return
+
+		const manifest = { version: BuildCache.VERSION, entries: this.sortKeys(this.entries) }
+		const temporary = `${this.path}.${process.pid}.tmp`
+
+		await writeFile(temporary, JSON.stringify(manifest, null, 2))
+		await rename(temporary, this.path)
+		this.changed = false
+	}
+
+	/**
+	 * Clave de una salida: ruta relativa al directorio de salida
+	 * @private
+	 */
+	getKey(outputPath) {
+		return relative(this.outputDir, outputPath).split('\\').join('/')
+	}
+
+	/**
+	 * @private
+	 */
+	sortKeys(object) {
+		return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)))
+	}
+
+	/**
+	 * JSON con las claves ordenadas, para que la huella no dependa del orden de declaración
+	 * @private
+	 */
+	static stableStringify(value) {
+		if (Array.isArray(value)) {
+			return `[${value.map(item => this.stableStringify(item)).join(',')}]`
+		}
+
+		if (value && typeof value === 'object') {
+			const keys = Object.keys(value)
+				.filter(key => value[key] !== undefined)
+				.sort()
+			return `{${keys.map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`
+		}
+
+		return JSON.stringify(value) ?? 'null'
+	}
+}
@@ -0,0 +1,259 @@
+/**
+ * Lector mínimo de EXIF (estructura TIFF) sobre el Buffer que devuelve sharp en metadata().exif.
+ * Solo decodifica lo necesario para informar de los campos y reescribirlos con sharp.withExif
+ */
+export class ExifParser {
+	/**
+	 * Tipos TIFF: tamaño en bytes de cada componente
+	 */
+	static TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 }
+
+	static TYPE_NAMES = {
+		1: 'byte',
+		2: 'ascii',
+		3: 'short',
+		4: 'long',
+		5: 'rational',
+		7: 'undefined',
+		9: 'slong',
+		10: 'srational',
+	}
+
+	// Etiquetas que apuntan a otros IFD (estructura, no datos)
+	static EXIF_POINTER = 0x8769
+	static GPS_POINTER = 0x8825
+	static INTEROP_POINTER = 0xa005
+
+	/**
+	 * Nombres de etiqueta (los mismos que usa libexif/libvips) por IFD
+	 */
+	static TAGS = {
+		IFD0: {
+			0x010e: 'ImageDescription',
+			0x010f: 'Make',
+			0x0110: 'Model',
+			0x0112: 'Orientation',
+			0x011a: 'XResolution',
+			0x011b: 'YResolution',
+			0x0128: 'ResolutionUnit',
+			0x0131: 'Software',
+			0x0132: 'DateTime',
+			0x013b: 'Artist',
+			0x013c: 'HostComputer',
+			0x0213: 'YCbCrPositioning',
+			0x8298: 'Copyright',
+		},
+		EXIF: {
+			0x829a: 'ExposureTime',
+			0x829d: 'FNumber',
+			0x8822: 'ExposureProgram',
+			0x8827: 'ISOSpeedRatings',
+			0x9000: 'ExifVersion',
+			0x9003: 'DateTimeOriginal',
+			0x9004: 'DateTimeDigitized',
+			0x9101: 'ComponentsConfiguration',
+			0x9201: 'ShutterSpeedValue',
+			0x9202: 'ApertureValue',
+			0x9204: 'ExposureBiasValue',
+			0x9205: 'MaxApertureValue',
+			0x9207: 'MeteringMode',
+			0x9208: 'LightSource',
+			0x9209: 'Flash',
+			0x920a: 'FocalLength',
+			0x927c: 'MakerNote',
+			0x9286: 'UserComment',
+			0xa000: 'FlashpixVersion',
+			0xa001: 'ColorSpace',
+			0xa002: 'PixelXDimension',
+			0xa003: 'PixelYDimension',
+			0xa402: 'ExposureMode',
+			0xa403: 'WhiteBalance',
+			0xa405: 'FocalLengthIn35mmFilm',
+			0xa406: 'SceneCaptureType',
+			0xa420: 'ImageUniqueID',
+			0xa430: 'CameraOwnerName',
+			0xa431: 'BodySerialNumber',
+			0xa432: 'LensSpecification',
+			0xa433: 'LensMake',
+			0xa434: 'LensModel',
+			0xa435: 'LensSerialNumber',
+		},
+		GPS: {
+			0x0000: 'GPSVersionID',
+			0x0001: 'GPSLatitudeRef',
+			0x0002: 'GPSLatitude',
+			0x0003: 'GPSLongitudeRef',
+			0x0004: 'GPSLongitude',
+			0x0005: 'GPSAltitudeRef',
+			0x0006: 'GPSAltitude',
+			0x0007: 'GPSTimeStamp',
+			0x0012: 'GPSMapDatum',
+			0x001d: 'GPSDateStamp',
+		},
+	}
+
+	/**
+	 * Decodifica los IFD principales del bloque EXIF
+	 * @param {Buffer} buffer - Bloque EXIF (con o sin la cabecera "Exif\0\0")
+	 * @returns {{IFD0: Array<Object>, EXIF: Array<Object>, GPS: Array<Object>}} Campos de cada IFD:
+	 * { tag, name, type, count, value } (value: string, número o array según el tipo)
+	 */
+	static parse(buffer) {
+		const result = { IFD0: [], EXIF: [], GPS: [] }
+
+		if (!Buffer.isBuffer(buffer) || buffer.length < 8) return result
+
+		const start = buffer.toString('latin1', 0, 6) === 'Exif\0\0' ? 6 : 0
+		const order = buffer.toString('latin1', start, start + 2)
+		if (order !== 'II' && order !== 'MM') return result
+
+		const reader = this.createReader(buffer, start, order === 'II')
+		if (reader.u16(2) !== 42) return result
+
+		const ifd0 = this.readIfd(reader, reader.u32(4), 'IFD0')
+		result.IFD0 = ifd0.filter(field => !this.isPointer(field.tag))
+
+		const exifPointer = ifd0.find(field => field.tag === this.EXIF_POINTER)
+		if (exifPointer) {
+			result.EXIF = this.readIfd(reader, exifPointer.value, 'EXIF').filter(
+				field => !this.isPointer(field.tag),
+			)
+		}
+
+		const gpsPointer = ifd0.find(field => field.tag === this.GPS_POINTER)
+		if (gpsPointer) {
+			result.GPS = this.readIfd(reader, gpsPointer.value, 'GPS')
+		}
+
+		return result
+	}
+
+	/**
+	 * Formatea un valor como lo espera sharp.withExif (libvips): racionales como "n/d"
+	 * y listas separadas por espacios
+	 * @param {Object} field - Campo devuelto por parse()
+	 * @returns {string|null} null si el tipo no se puede reescribir (undefined, byte)
+	 */
+	static formatValue(field) {
+		switch (this.TYPE_NAMES[field.type]) {
+			case 'ascii':
+				return field.value
+			case 'short':
+			case 'long':
+			case 'slong':
+				return [field.value].flat().join(' ')
+			case 'rational':
+			case 'srational':
+				return field.value.map(([numerator, denominator]) => `${numerator}/${denominator}`).join(' ')
+			default:
+				return null
+		}
+	}
+
+	/**
+	 * Lee la orientación EXIF (1-8) si existe
+	 * @param {Buffer} buffer - Bloque EXIF
+	 * @returns {number|null}
+	 */
+	static getOrientation(buffer) {
+		const field = this.parse(buffer).IFD0.find(entry => entry.tag === 0x0112)
+		return field ? [field.value].flat()[0] : null
+	}
+
+	/**
+	 * @private
+	 */
+	static isPointer(tag) {
+		return tag === this.EXIF_POINTER || tag === this.GPS_POINTER || tag === this.INTEROP_POINTER
+	}
+
+	/**
+	 * @private
+	 */
+	static createReader(buffer, start, littleEndian) {
+		const inRange = (offset, size) => start + offset >= 0 && start + offset + size <= buffer.length
+
+		return {
+			inRange,
+			u16: offset =>
+				littleEndian ? buffer.readUInt16LE(start + offset) : buffer.readUInt16BE(start + offset),
+			u32: offset =>
+				littleEndian ? buffer.readUInt32LE(start + offset) : buffer.readUInt32BE(start + offset),
+			i32: offset =>
+				littleEndian ? buffer.readInt32LE(start + offset) : buffer.readInt32BE(start + offset),
+			u8: offset => buffer[start + offset],
+			ascii: (offset, count) => buffer.toString('latin1', start + offset, start + offset + count),
+			bytes: (offset, count) => buffer.subarray(start + offset, start + offset + count),
+		}
+	}
+
+	/**
+	 * Lee las entradas de un IFD ignorando las que apuntan fuera del bloque
+	 * @private
+	 */
+	static readIfd(reader, offset, ifdName) {
+		if (!reader.inRange(offset, 2)) return []
+
+		const fields = []
+		const count = reader.u16(offset)
+
+		for (let i = 0; i < count; i++) {
+			const entry = offset + 2 + i * 12
+			if (!reader.inRange(entry, 12)) break
+
+			const tag = reader.u16(entry)
+			const type = reader.u16(entry + 2)
+			const components = reader.u32(entry + 4)
+			const size = (this.TYPE_SIZES[type] || 0) * components
+			if (size === 0) continue
+
+			const valueOffset = size <= 4 ? entry + 8 : reader.u32(entry + 8)
+			if (!reader.inRange(valueOffset, size)) continue
+
+			fields.push({
+				tag,
+				name: this.TAGS[ifdName]?.[tag] || `0x${tag.toString(16).padStart(4, '0')}`,
+				type,
+				count: components,
+				value: this.readValue(reader, type, valueOffset, components),
+			})
+		}
+
+		return fields
+	}
+
+	/**
+	 * @private
+	 */
+	static readValue(reader, type, offset, count) {
+		const read = (size, fn) => {
+			const values = Array.from({ length: count }, (_, i) => fn(offset + i * size))
+			return count === 1 ? values[0] : values
+		}
+
+		switch (this.TYPE_NAMES[type]) {
+			case 'ascii':
+				return reader.ascii(offset, count).replace(/\0+$/, '').trim()
+			case 'short':
+				return read(2, reader.u16)
+			case 'long':
+				return read(4, reader.u32)
+			case 'slong':
+				return read(4, reader.i32)
+			case 'rational':
+				return Array.from({ length: count }, (_, i) => [
+					reader.u32(offset + i * 8),
+					reader.u32(offset + i * 8 + 4),
+				])
+			case 'srational':
+				return Array.from({ length: count }, (_, i) => [
+					reader.i32(offset + i * 8),
+					reader.i32(offset + i * 8 + 4),
+				])
+			case 'byte':
+				return read(1, reader.u8)
+			default:
+				return reader.bytes(offset, count)
+		}
+	}
+}
@@ -0,0 +1,23 @@
+/**
+ * Utilidades para las URLs y el HTML que generan srcset e icons
+ */
+export class HtmlUtils {
+	/**
+	 * URL de un archivo con un prefijo: "/img" y "/img/" dan "/img/foto.webp"; "" la deja relativa
+	 * @param {string} baseUrl - Prefijo (ruta o URL absoluta)
+	 * @param {string} file - Nombre del archivo
+	 * @returns {string}
+	 */
+	static joinUrl(baseUrl, file) {
+		return baseUrl && !baseUrl.endsWith('/') ? `${baseUrl}/${file}` : `${baseUrl}${file}`
+	}
+
+	/**
+	 * Escapa un valor para un atributo HTML entre comillas dobles
+	 * @param {string} value - Valor
+	 * @returns {string}
+	 */
+	static escapeAttribute(value) {
+		return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')
+	}
+}
@@ -1,41 +1,107 @@
 import chalk from 'chalk'
+import { AsyncLocalStorage } from 'async_hooks'
+import { PathUtils } from './PathUtils.js'
+
+// Buffer de líneas de la tarea en curso (ver Logger.capture)
+const captureStorage = new AsyncLocalStorage()
 
 /**
  * Logger con colores para mejor UX
  * Strategy Pattern: Diferentes niveles de log
  */
 export class Logger {
+	/**
+	 * Desactiva toda la salida por consola (uso como librería)
+	 */
+	static silent = false
+
+	/**
+	 * Escribe una línea en consola o en el buffer de la tarea actual
+	 * @param {string} line - Línea a escribir
+	 */
+	static write(line) {
+		if (this.silent) return
+
+		const buffer = captureStorage.getStore()
+		if (buffer) {
+			buffer.push(line)
+		} else {
+			console.log(line)
+		}
+	}
+
+	/**
+	 * Ejecuta una tarea acumulando sus líneas de log y las imprime juntas al terminar,
+	 * para que las tareas concurrentes no mezclen su salida
+	 * @param {Function} task - Función asíncrona a ejecutar
+	 * @returns {Promise<*>} Resultado de la tarea
+	 */
+	static async capture(task) {
+		const buffer = []
+		try {
+			return await captureStorage.run(buffer, task)
+		} finally {
+			this.flushLines(buffer)
+		}
+	}
+
+	/**
+	 * Imprime lo acumulado hasta ahora por la tarea actual
+	 */
+	static flush() {
+		const buffer = captureStorage.getStore()
+		if (buffer) {
+			this.flushLines(buffer.splice(0))
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	static flushLines(lines) {
+		if (lines.length > 0) {
+			console.log(lines.join('\n'))
+		}
+	}
+
 	static success(message) {
-		console.log(chalk.green(`✓ ${message}`))
+		this.write(chalk.green(`✓ ${message}`))
 	}
 
 	static info(message) {
-		console.log(chalk.blue(`ℹ ${message}`))
+		this.write(chalk.blue(`ℹ ${message}`))
 	}
 
 	static warn(message) {
-		console.log(chalk.yellow(`⚠ ${message}`))
+		this.write(chalk.yellow(`⚠ ${message}`))
 	}
 
 	static error(message) {
-		console.log(chalk.red(`✗ ${message}`))
+		this.write(chalk.red(`✗ ${message}`))
 	}
 
 	static progress(message) {
-		console.log(chalk.cyan(`➤ ${message}`))
+		this.write(chalk.cyan(`➤ ${message}`))
 	}
 
 	static divider() {
-		console.log(chalk.gray('─'.repeat(50)))
+		this.write(chalk.gray('─'.repeat(50)))
 	}
 
 	static header(message) {
-		console.log('\n' + chalk.bold.cyan('='.repeat(60)))
-		console.log(chalk.bold.cyan(` ${message}`))
-		console.log(chalk.bold.cyan('='.repeat(60)) + '\n')
+		this.write('\n' + chalk.bold.cyan('='.repeat(60)))
+		this.write(chalk.bold.cyan(` ${message}`))
+		this.write(chalk.bold.cyan('='.repeat(60)) + '\n')
 	}
 
-	static stats(originalSize, optimizedSize, format) {
+	/**
+	 * Muestra las estadísticas de optimización
+	 * @param {number} originalSize - Tamaño original en bytes
+	 * @param {number} optimizedSize - Tamaño final en bytes
+	 * @param {string} format - Formato final
+	 * @param {Object} details - Datos opcionales { quality, ssim } de la codificación elegida
+	 */
+	static stats(originalSize, optimizedSize, format, details = {}) {
 		// Verificar que los tamaños sean números válidos
 		const isValidSize = size => typeof size === 'number' && !isNaN(size) && isFinite(size) && size >= 0
 
@@ -45,22 +111,29 @@ export class Logger {
 		const reduction = original > 0 ? (((original - optimized) / original) * 100).toFixed(1) : 0
 		const saved = original - optimized
 
-		console.log(chalk.bold('\n📊 ESTADÍSTICAS DE OPTIMIZACIÓN:'))
-		console.log(chalk.gray('─'.repeat(40)))
-		console.log(
+		this.write(chalk.bold('\n📊 ESTADÍSTICAS DE OPTIMIZACIÓN:'))
+		this.write(chalk.gray('─'.repeat(40)))
+		this.write(
 			`Formato final: ${chalk.bold(format ? format.toUpperCase() : PathUtils.getExtension(format).toUpperCase())}`,
 		)
-		console.log(`Tamaño original: ${chalk.yellow(this.formatBytes(original))}`)
-		console.log(`Tamaño optimizado: ${chalk.green(this.formatBytes(optimized))}`)
-		console.log(
+		this.write(`Tamaño original: ${chalk.yellow(this.formatBytes(original))}`)
+		this.write(`Tamaño optimizado: ${chalk.green(this.formatBytes(optimized))}`)
+		this.write(
 			`Reducción: ${chalk.bold(parseFloat(reduction) > 0 ? chalk.green(`-${reduction}%`) : chalk.red('0%'))}`,
 		)
-		console.log(`Espacio ahorrado: ${chalk.bold.green(this.formatBytes(Math.max(saved, 0)))}`)
+		this.write(`Espacio ahorrado: ${chalk.bold.green(this.formatBytes(Math.max(saved, 0)))}`)
+
+		if (details.quality !== undefined) {
+			this.write(`Calidad elegida: ${chalk.bold(details.quality)}`)
+		}
+		if (details.ssim !== undefined) {
+			this.write(`SSIM: ${chalk.bold(details.ssim.toFixed(4))}`)
+		}
 
 		if (reduction > 70) {
-			console.log(chalk.bold.green('🎉 ¡Excelente optimización!'))
+			this.write(chalk.bold.green('🎉 ¡Excelente optimización!'))
 		} else if (reduction > 30) {
-			console.log(chalk.bold.yellow('👍 Buena optimización'))
+			this.write(chalk.bold.yellow('👍 Buena optimización'))
 		}
 	}
 
@@ -0,0 +1,312 @@
+import sharp from 'sharp'
+import { statSync, writeFileSync } from 'fs'
+import { stat } from 'fs/promises'
+import { extname } from 'path'
+import { performance } from 'perf_hooks'
+import { Logger } from './Logger.js'
+import { PathUtils } from './PathUtils.js'
+
+/**
+ * Informe de ejecución legible por máquinas (JSON o CSV): una fila por archivo
+ * y totales de la ejecución, para seguir el ahorro a lo largo del tiempo
+ */
+export class RunReport {
+	static FORMATS = ['.json', '.csv']
+
+	static CSV_COLUMNS = [
+		'status',
+		'input',
+		'output',
+		'originalSize',
+		'finalSize',
+		'originalWidth',
+		'originalHeight',
+		'width',
+		'height',
+		'format',
+		'quality',
+		'content',
+		'durationMs',
+		'metadataPresent',
+		'metadataDropped',
+		'error',
+	]
+
+	/**
+	 * @param {string} command - Comando que genera el informe
+	 */
+	constructor(command) {
+		this.command = command
+		this.startedAt = new Date()
+		this.start = performance.now()
+		this.files = []
+		this.starts = new Map()
+	}
+
+	/**
+	 * Comprueba que la ruta del informe tiene una extensión soportada
+	 * @param {string} path - Ruta del informe
+	 * @returns {string} La misma ruta
+	 */
+	static validatePath(path) {
+		if (!this.FORMATS.includes(extname(path).toLowerCase())) {
+			throw new Error(`Formato de informe no soportado: ${path}. Usa ${this.FORMATS.join(' o ')}`)
+		}
+		return path
+	}
+
+	/**
+	 * Añade una fila al informe
+	 * @param {Object} file - Datos del archivo
+	 * @param {string} file.input - Ruta de entrada
+	 * @param {string|null} file.output - Ruta de salida
+	 * @param {string} file.status - ok, error o skipped (omitido por la caché)
+	 * @param {Object} file.original - { size, width, height } del origen
+	 * @param {Object} file.final - { size, width, height } del resultado
+	 * @param {string} file.format - Formato final
+	 * @param {number} file.quality - Calidad usada
+	 * @param {string} file.content - Tipo de contenido si se clasificó (ver ContentClassifier)
+	 * @param {number} file.durationMs - Duración en milisegundos
+	 * @param {Object} file.metadata - Informe de MetadataPolicy { present, dropped }
+	 * @param {string} file.error - Mensaje de error
+	 */
+	add({
+		input,
+		output = null,
+		status,
+		original = {},
+		final = {},
+		format = null,
+		quality = null,
+		content = null,
+		durationMs = null,
+		metadata = null,
+		error = null,
+	}) {
+		this.files.push({
+			status,
+			input,
+			output,
+			originalSize: original.size ?? null,
+			finalSize: final.size ?? null,
+			originalWidth: original.width ?? null,
+			originalHeight: original.height ?? null,
+			width: final.width ?? null,
+			height: final.height ?? null,
+			format,
+			quality: quality ?? null,
+			content,
+			durationMs: durationMs === null ? null : Math.round(durationMs),
+			metadataPresent: metadata?.present ?? null,
+			metadataDropped: metadata?.dropped ?? null,
+			error,
+		})
+	}
+
+	/**
+	 * Ejecuta una tarea que escribe `output` a partir de `input` y registra su resultado
+	 * @param {string} input - Ruta de entrada
+	 * @param {string} output - Ruta de salida
+	 * @param {Function} task - Función asíncrona; si devuelve { quality, format } se usan en el informe
+	 * (y { output } si escribió en otra ruta, p. ej. con format auto)
+	 * @param {Object} defaults - Valores si la tarea no los devuelve ({ quality, format })
+	 * @returns {Promise<*>} Resultado de la tarea
+	 */
+	async track(input, output, task, defaults = {}) {
+		const started = performance.now()
+		const original = await RunReport.describeFile(input)
+
+		try {
+			const result = await task()
+			if (typeof result?.output === 'string') output = result.output
+			const final = await RunReport.describeFile(output)
+
+			this.add({
+				input,
+				output,
+				status: 'ok',
+				original,
+				final,
+				format: result?.format || defaults.format || PathUtils.getExtension(output),
+				quality: result?.quality ?? defaults.quality,
+				content: result?.content?.type,
+				durationMs: performance.now() - started,
+				metadata: result?.metadataPolicy,
+			})
+
+			return result
+		} catch (error) {
+			this.add({
+				input,
+				output,
+				status: 'error',
+				original,
+				durationMs: performance.now() - started,
+				error: error.message,
+			})
+			throw error
+		}
+	}
+
+	/**
+	 * Registra los archivos procesados por un ImageProcessor a partir de sus eventos
+	 * @param {import('events').EventEmitter} processor - ImageProcessor (file-start, file-done, file-error, progress)
+	 * @returns {RunReport}
+	 */
+	attach(processor) {
+		processor.on('file-start', ({ input }) => this.starts.set(input, performance.now()))
+
+		processor.on('file-done', ({ input, output, result }) => {
+			this.add({
+				input,
+				output,
+				status: 'ok',
+				original: { size: result.originalSize, ...result.originalDimensions },
+				final: { size: result.finalSize, ...result.dimensions },
+				format: result.format,
+				quality: result.quality,
+				content: result.content?.type,
+				durationMs: this.elapsed(input),
+				metadata: result.metadataPolicy,
+			})
+		})
+
+		processor.on('file-error', ({ input, output, error }) => {
+			this.add({
+				input,
+				output,
+				status: 'error',
+				original: { size: RunReport.sizeOf(input) },
+				durationMs: this.elapsed(input),
+				error: error.message,
+			})
+		})
+
+		processor.on('progress', ({ input, skipped }) => {
+			if (skipped) this.add({ input, status: 'skipped' })
+		})
+
+		return this
+	}
+
+	/**
+	 * Totales de la ejecución
+	 * @returns {Object}
+	 */
+	getTotals() {
+		const processed = this.files.filter(file => file.status === 'ok')
+		const originalSize = processed.reduce((sum, file) => sum + (file.originalSize || 0), 0)
+		const finalSize = processed.reduce((sum, file) => sum + (file.finalSize || 0), 0)
+
+		return {
+			files: this.files.length,
+			succeeded: processed.length,
+			failed: this.files.filter(file => file.status === 'error').length,
+			skipped: this.files.filter(file => file.status === 'skipped').length,
+			originalSize,
+			finalSize,
+			savedBytes: originalSize - finalSize,
+			reduction:
+				originalSize > 0 ? Number((((originalSize - finalSize) / originalSize) * 100).toFixed(1)) : 0,
+			durationMs: Math.round(performance.now() - this.start),
+		}
+	}
+
+	/**
+	 * Genera el informe en JSON
+	 * @returns {string}
+	 */
+	toJSON() {
+		return JSON.stringify(
+			{
+				command: this.command,
+				startedAt: this.startedAt.toISOString(),
+				finishedAt: new Date().toISOString(),
+				totals: this.getTotals(),
+				files: this.files,
+			},
+			null,
+			2,
+		)
+	}
+
+	/**
+	 * Genera el informe en CSV. La última fila (status = total) contiene los totales
+	 * @returns {string}
+	 */
+	toCSV() {
+		const totals = this.getTotals()
+		const totalRow = {
+			status: 'total',
+			originalSize: totals.originalSize,
+			finalSize: totals.finalSize,
+			durationMs: totals.durationMs,
+			error: totals.failed > 0 ? `${totals.failed} fallidas` : null,
+		}
+
+		const escape = value => {
+			if (value === null || value === undefined) return ''
+			const text = Array.isArray(value) ? value.join(';') : String(value)
+			return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+		}
+
+		return [
+			RunReport.CSV_COLUMNS.join(','),
+			...[...this.files, totalRow].map(row =>
+				RunReport.CSV_COLUMNS.map(column => escape(row[column])).join(','),
+			),
+		].join('\n')
+	}
+
+	/**
+	 * Escribe el informe según la extensión (.json o .csv). Es síncrono para poder
+	 * llamarse también al salir del proceso
+	 * @param {string} path - Ruta del informe
+	 */
+	writeSync(path) {
+		const content = extname(path).toLowerCase() === '.csv' ? this.toCSV() : this.toJSON()
+		writeFileSync(path, content + '\n')
+		Logger.success(`Informe guardado: ${path}`)
+	}
+
+	/**
+	 * Tamaño y dimensiones de una imagen en disco (null si no se pueden leer)
+	 * @param {string} path - Ruta de la imagen
+	 * @returns {Promise<{size: number|null, width: number|null, height: number|null}>}
+	 */
+	static async describeFile(path) {
+		if (typeof path !== 'string') {
+			return { size: null, width: null, height: null }
+		}
+
+		try {
+			const [stats, metadata] = await Promise.all([stat(path), sharp(path).metadata()])
+			return { size: stats.size, width: metadata.width ?? null, height: metadata.height ?? null }
+		} catch {
+			return { size: this.sizeOf(path), width: null, height: null }
+		}
+	}
+
+	/**
+	 * Milisegundos desde el evento file-start de una entrada
+	 * @private
+	 */
+	elapsed(input) {
+		const started = this.starts.get(input)
+		this.starts.delete(input)
+		return started === undefined ? null : performance.now() - started
+	}
+
+	/**
+	 * @private
+	 */
+	static sizeOf(path) {
+		if (typeof path !== 'string') return null
+
+		try {
+			return statSync(path).size
+		} catch {
+			return null
+		}
+	}
+}
@@ -0,0 +1,40 @@
+/**
+ * Utilidades para tamaños de archivo
+ */
+export class SizeUtils {
+	static UNITS = {
+		b: 1,
+		k: 1024,
+		kb: 1024,
+		m: 1024 * 1024,
+		mb: 1024 * 1024,
+		g: 1024 * 1024 * 1024,
+		gb: 1024 * 1024 * 1024,
+	}
+
+	/**
+	 * Convierte un tamaño legible ("150KB", "1.5 MB", 2048) a bytes.
+	 * Usa base 1024, igual que Logger.formatBytes
+	 * @param {string|number} value - Tamaño
+	 * @returns {number} Bytes
+	 */
+	static parse(value) {
+		if (typeof value === 'number') {
+			if (!Number.isFinite(value) || value <= 0) {
+				throw new Error(`Tamaño no válido: ${value}`)
+			}
+			return Math.floor(value)
+		}
+
+		const match = String(value)
+			.trim()
+			.match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i)
+		const unit = match ? this.UNITS[(match[2] || 'b').toLowerCase()] : undefined
+
+		if (!match || !unit || parseFloat(match[1]) <= 0) {
+			throw new Error(`Tamaño no válido: ${value}. Ejemplos: 150KB, 1.5MB, 2048`)
+		}
+
+		return Math.floor(parseFloat(match[1]) * unit)
+	}
+}
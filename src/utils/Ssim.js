@@ -0,0 +1,87 @@
+import sharp from 'sharp'
+
+/**
+ * Índice de similitud estructural (SSIM) calculado en local sobre la luminancia
+ * que devuelve sharp en formato raw
+ */
+export class Ssim {
+	static WINDOW = 8
+	static STEP = 4
+
+	// Constantes de estabilidad para valores de 8 bits: (0.01·255)² y (0.03·255)²
+	static C1 = (0.01 * 255) ** 2
+	static C2 = (0.03 * 255) ** 2
+
+	/**
+	 * Obtiene la luminancia de una pipeline o imagen codificada
+	 * @param {sharp.Sharp|Buffer|string} source - Pipeline de sharp, Buffer codificado o ruta
+	 * @returns {Promise<{data: Buffer, width: number, height: number}>}
+	 */
+	static async luminance(source) {
+		const pipeline = typeof source?.clone === 'function' ? source.clone() : sharp(source)
+		const { data, info } = await pipeline
+			.flatten({ background: '#ffffff' })
+			.greyscale()
+			.raw()
+			.toBuffer({ resolveWithObject: true })
+
+		return { data, width: info.width, height: info.height }
+	}
+
+	/**
+	 * Calcula el SSIM medio entre dos imágenes de luminancia del mismo tamaño
+	 * usando ventanas de 8×8 desplazadas de 4 en 4 píxeles
+	 * @param {{data: Buffer, width: number, height: number}} a - Imagen de referencia
+	 * @param {{data: Buffer, width: number, height: number}} b - Imagen a comparar
+	 * @returns {number} Valor entre -1 y 1 (1 = idénticas)
+	 */
+	static compare(a, b) {
+		if (a.width !== b.width || a.height !== b.height) {
+			throw new Error(
+				`SSIM requiere imágenes del mismo tamaño (${a.width}x${a.height} vs ${b.width}x${b.height})`,
+			)
+		}
+
+		const { width, height } = a
+		const window = Math.min(this.WINDOW, width, height)
+		const count = window * window
+		let total = 0
+		let windows = 0
+
+		for (let y = 0; y + window <= height; y += this.STEP) {
+			for (let x = 0; x + window <= width; x += this.STEP) {
+				let sumA = 0
+				let sumB = 0
+				let sumAA = 0
+				let sumBB = 0
+				let sumAB = 0
+
+				for (let wy = 0; wy < window; wy++) {
+					let offset = (y + wy) * width + x
+					for (let wx = 0; wx < window; wx++, offset++) {
+						const pa = a.data[offset]
+						const pb = b.data[offset]
+						sumA += pa
+						sumB += pb
+						sumAA += pa * pa
+						sumBB += pb * pb
+						sumAB += pa * pb
+					}
+				}
+
+				const meanA = sumA / count
+				const meanB = sumB / count
+				const varA = sumAA / count - meanA * meanA
+				const varB = sumBB / count - meanB * meanB
+				const covariance = sumAB / count - meanA * meanB
+
+				total +=
+					((2 * meanA * meanB + this.C1) * (2 * covariance + this.C2)) /
+					((meanA * meanA + meanB * meanB + this.C1) * (varA + varB + this.C2))
+				windows++
+			}
+		}
+
+		return windows > 0 ? total / windows : 1
+	}
+}
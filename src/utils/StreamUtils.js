@@ -0,0 +1,60 @@
+import { finished } from 'stream/promises'
+
+/**
+ * Utilidades para trabajar con Buffers y streams
+ */
+export class StreamUtils {
+	/**
+	 * Indica si el valor es un stream legible
+	 * @param {*} value - Valor a comprobar
+	 * @returns {boolean}
+	 */
+	static isReadable(value) {
+		return (
+			value !== null &&
+			typeof value === 'object' &&
+			typeof value.pipe === 'function' &&
+			typeof value.read === 'function'
+		)
+	}
+
+	/**
+	 * Indica si el valor es un stream de escritura
+	 * @param {*} value - Valor a comprobar
+	 * @returns {boolean}
+	 */
+	static isWritable(value) {
+		return (
+			value !== null &&
+			typeof value === 'object' &&
+			typeof value.write === 'function' &&
+			typeof value.end === 'function'
+		)
+	}
+
+	/**
+	 * Lee un stream completo en memoria
+	 * @param {Readable} stream - Stream legible
+	 * @returns {Promise<Buffer>}
+	 */
+	static async toBuffer(stream) {
+		const chunks = []
+
+		for await (const chunk of stream) {
+			chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk)
+		}
+
+		return Buffer.concat(chunks)
+	}
+
+	/**
+	 * Escribe un Buffer en un stream y espera a que termine
+	 * @param {Writable} stream - Stream de escritura
+	 * @param {Buffer} data - Datos a escribir
+	 * @returns {Promise<void>}
+	 */
+	static async writeBuffer(stream, data) {
+		stream.end(data)
+		await finished(stream)
+	}
+}
@@ -0,0 +1,118 @@
+import os from 'os'
+import sharp from 'sharp'
+import { AsyncLocalStorage } from 'async_hooks'
+import { Logger } from './Logger.js'
+
+// Marca las llamadas que se ejecutan dentro de una tarea del pool
+const taskStorage = new AsyncLocalStorage()
+
+/**
+ * Planificador compartido con concurrencia limitada
+ * Singleton Pattern: un único límite global para CLI, ImageProcessor y operaciones batch
+ */
+export class WorkerPool {
+	static CPU_COUNT = os.availableParallelism ? os.availableParallelism() : os.cpus().length
+
+	static concurrency = WorkerPool.CPU_COUNT
+	static configured = false
+	static active = 0
+	static queue = []
+
+	/**
+	 * Configura la concurrencia y reparte los hilos de libvips entre las tareas
+	 * @param {Object} options - Opciones
+	 * @param {number} options.concurrency - Imágenes procesadas a la vez (por defecto, núcleos de CPU)
+	 */
+	static configure({ concurrency } = {}) {
+		const value = concurrency ?? this.CPU_COUNT
+
+		if (!Number.isInteger(value) || value < 1) {
+			throw new Error(`Concurrencia no válida: ${concurrency}. Debe ser un entero mayor que 0`)
+		}
+
+		this.concurrency = value
+		this.configured = true
+
+		// Cada imagen usa varios hilos de libvips: repartir los núcleos para no sobresuscribir la CPU
+		sharp.concurrency(Math.max(1, Math.floor(this.CPU_COUNT / value)))
+
+		// sharp ejecuta sus tareas en el threadpool de libuv (4 hilos por defecto). Solo tiene
+		// efecto si se fija antes de que el threadpool arranque y el usuario no lo definió
+		if (!process.env.UV_THREADPOOL_SIZE) {
+			process.env.UV_THREADPOOL_SIZE = String(Math.max(4, value))
+		}
+	}
+
+	/**
+	 * Aplica una función asíncrona a cada elemento respetando el límite de concurrencia
+	 * @param {Array} items - Elementos a procesar
+	 * @param {Function} worker - Función (item, index) => Promise
+	 * @returns {Promise<Array>} Resultados en el mismo orden que los elementos
+	 */
+	static async map(items, worker) {
+		if (!this.configured) {
+			this.configure()
+		}
+
+		// Si se llama desde otra tarea del pool, cede su hueco mientras espera a las subtareas
+		const nested = taskStorage.getStore() !== undefined
+
+		if (nested) {
+			Logger.flush()
+			this.release()
+		}
+
+		try {
+			return await Promise.all(items.map((item, index) => this.run(() => worker(item, index))))
+		} finally {
+			if (nested) {
+				await this.acquire()
+			}
+		}
+	}
+
+	/**
+	 * Ejecuta una tarea cuando hay un hueco libre
+	 * @param {Function} task - Función asíncrona
+	 * @returns {Promise<*>} Resultado de la tarea
+	 */
+	static async run(task) {
+		if (!this.configured) {
+			this.configure()
+		}
+
+		await this.acquire()
+
+		try {
+			// Con varias tareas a la vez, agrupar el log de cada imagen para que no se mezcle
+			return await taskStorage.run(true, () => (this.concurrency > 1 ? Logger.capture(task) : task()))
+		} finally {
+			this.release()
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	static acquire() {
+		if (this.active < this.concurrency) {
+			this.active++
+			return Promise.resolve()
+		}
+
+		return new Promise(resolve => this.queue.push(resolve))
+	}
+
+	/**
+	 * @private
+	 */
+	static release() {
+		const next = this.queue.shift()
+
+		if (next) {
+			next()
+		} else {
+			this.active--
+		}
+	}
+}
@@ -1,8 +1,9 @@
-import { readdir, stat, mkdir } from 'fs/promises'
+import { readdir, stat, mkdir, realpath } from 'fs/promises'
 import { existsSync } from 'fs'
 import { join, extname, basename } from 'path'
-import { ImageValidator } from '../core/imageValidator.js'
+import { ImageValidator } from '../core/ImageValidator.js'
 import { Logger } from './Logger.js'
+import { WorkerPool } from './WorkerPool.js'
 
 /**
  * Gestor de archivos y directorios con ESM
@@ -11,6 +12,14 @@ import { Logger } from './Logger.js'
 export class FileManager {
 	static instance = null
 
+	/**
+	 * Políticas para enlaces simbólicos:
+	 * - skip: ignora cualquier enlace
+	 * - files: sigue enlaces a archivos, ignora enlaces a directorios
+	 * - follow: sigue enlaces a archivos y directorios (detectando ciclos)
+	 */
+	static SYMLINK_POLICIES = ['skip', 'files', 'follow']
+
 	constructor() {
 		if (FileManager.instance) {
 			return FileManager.instance
@@ -21,9 +30,15 @@ export class FileManager {
 	/**
 	 * Obtiene todas las imágenes de un directorio
 	 * @param {string} directoryPath - Ruta del directorio
-	 * @returns {Promise<Array<{path: string, name: string}>>}
+	 * @param {Object} options - Opciones de búsqueda
+	 * @param {boolean} options.recursive - Recorrer subdirectorios
+	 * @param {number} options.maxDepth - Niveles máximos de subdirectorios (0 = solo el directorio raíz)
+	 * @param {string} options.symlinks - Política de enlaces simbólicos: skip | files | follow
+	 * @param {Function} options.onInvalid - (path, error) para archivos con extensión de imagen que no
+	 * pasan la validación (vacíos, demasiado grandes); por defecto se ignoran en silencio
+	 * @returns {Promise<Array<{path: string, name: string, size: number, relativePath: string, relativeDir: string}>>}
 	 */
-	async getImagesFromDirectory(directoryPath) {
+	async getImagesFromDirectory(directoryPath, options = {}) {
 		try {
 			if (!existsSync(directoryPath)) {
 				throw new Error(`Directorio no encontrado: ${directoryPath}`)
@@ -34,29 +49,25 @@ export class FileManager {
 				throw new Error(`La ruta no es un directorio: ${directoryPath}`)
 			}
 
-			const files = await readdir(directoryPath)
-			const images = []
+			const { recursive = false, maxDepth = Infinity, symlinks = 'files', onInvalid = null } = options
 
-			for (const file of files) {
-				const filePath = join(directoryPath, file)
-
-				try {
-					const fileStats = await stat(filePath)
-					if (fileStats.isFile()) {
-						const validation = ImageValidator.validate(filePath)
-						if (validation.isValid) {
-							images.push({
-								path: filePath,
-								name: file,
-								size: fileStats.size,
-							})
-						}
-					}
-				} catch (error) {
-					Logger.warn(`No se pudo leer ${file}: ${error.message}`)
-				}
+			if (!FileManager.SYMLINK_POLICIES.includes(symlinks)) {
+				throw new Error(
+					`Política de enlaces no válida: ${symlinks}. Opciones: ${FileManager.SYMLINK_POLICIES.join(', ')}`,
+				)
+			}
+
+			const images = []
+			const walkOptions = {
+				recursive,
+				maxDepth: maxDepth ?? Infinity,
+				symlinks,
+				onInvalid,
+				visited: new Set([await realpath(directoryPath)]),
 			}
 
+			await this.collectImages(directoryPath, '', 0, walkOptions, images)
+
 			return images
 		} catch (error) {
 			Logger.error(`Error leyendo directorio: ${error.message}`)
@@ -64,6 +75,64 @@ export class FileManager {
 		}
 	}
 
+	/**
+	 * Recorre un directorio acumulando las imágenes válidas
+	 * @private
+	 */
+	async collectImages(rootPath, relativeDir, depth, options, images) {
+		const currentPath = join(rootPath, relativeDir)
+		const entries = await readdir(currentPath, { withFileTypes: true })
+
+		// Orden estable para que la salida sea reproducible
+		entries.sort((a, b) => a.name.localeCompare(b.name))
+
+		for (const entry of entries) {
+			const filePath = join(currentPath, entry.name)
+			const relativePath = join(relativeDir, entry.name)
+			const isSymlink = entry.isSymbolicLink()
+
+			if (isSymlink && options.symlinks === 'skip') {
+				continue
+			}
+
+			try {
+				const fileStats = await stat(filePath)
+
+				if (fileStats.isDirectory()) {
+					if (!options.recursive || depth >= options.maxDepth) continue
+					if (isSymlink && options.symlinks !== 'follow') continue
+
+					const realDir = await realpath(filePath)
+					if (options.visited.has(realDir)) {
+						Logger.warn(`Directorio ya visitado (ciclo de enlaces), se omite: ${relativePath}`)
+						continue
+					}
+					options.visited.add(realDir)
+
+					await this.collectImages(rootPath, relativePath, depth + 1, options, images)
+				} else if (fileStats.isFile()) {
+					const validation = ImageValidator.validate(filePath)
+					if (validation.isValid) {
+						images.push({
+							path: filePath,
+							name: entry.name,
+							size: fileStats.size,
+							relativePath,
+							relativeDir,
+						})
+					} else if (
+						options.onInvalid &&
+						ImageValidator.SUPPORTED_FORMATS.has(extname(filePath).toLowerCase())
+					) {
+						options.onInvalid(filePath, validation.error)
+					}
+				}
+			} catch (error) {
+				Logger.warn(`No se pudo leer ${relativePath}: ${error.message}`)
+			}
+		}
+	}
+
 	/**
 	 * Determina si la ruta es un directorio
 	 * @param {string} path - Ruta a verificar
@@ -99,15 +168,13 @@ export class FileManager {
 	 * @param {string} inputPath - Ruta de entrada
 	 * @param {string} outputPath - Ruta de salida base
 	 * @param {string} operation - Operación (convert/resize/compress)
-	 * @param {Object} options - Opciones específicas
+	 * @param {Object} options - Opciones específicas (con dryRun no se crea ningún directorio)
 	 * @returns {Promise<string>}
 	 */
 	async generateOutputPath(inputPath, outputPath, operation, options = {}) {
 		try {
-			const isInputDir = await this.isDirectory(inputPath)
-			const isOutputDir = await this.isDirectory(outputPath)
-			const inputIsDir = isInputDir
-			const outputIsDir = isOutputDir
+			const inputIsDir = await this.isDirectory(inputPath)
+			let outputIsDir = await this.isDirectory(outputPath)
 
 			// Si la salida no existe, determinar si es directorio basado en extensión
 			if (!existsSync(outputPath)) {
@@ -118,7 +185,7 @@ export class FileManager {
 
 			// Caso 1: Directorio de entrada → Directorio de salida
 			if (inputIsDir && outputIsDir) {
-				await this.ensureDirectoryExists(outputPath)
+				if (!options.dryRun) await this.ensureDirectoryExists(outputPath)
 				const fileName = basename(inputPath)
 				const suffix = this.getOperationSuffix(operation, options)
 				const newFileName = this.addSuffixToFilename(fileName, suffix, options.format)
@@ -131,12 +198,14 @@ export class FileManager {
 			}
 
 			// Caso 3: Archivo de entrada → Directorio de salida
+			// (relativeDir replica la estructura de subdirectorios de la entrada)
 			if (!inputIsDir && outputIsDir) {
-				await this.ensureDirectoryExists(outputPath)
+				const targetDir = join(outputPath, options.relativeDir || '')
+				if (!options.dryRun) await this.ensureDirectoryExists(targetDir)
 				const fileName = basename(inputPath)
 				const suffix = this.getOperationSuffix(operation, options)
 				const newFileName = this.addSuffixToFilename(fileName, suffix, options.format)
-				return join(outputPath, newFileName)
+				return join(targetDir, newFileName)
 			}
 
 			// Caso 4: Archivo de entrada → Archivo de salida
@@ -156,6 +225,8 @@ export class FileManager {
 			convert: '_converted',
 			resize: `_${options.width}x${options.height}`,
 			compress: '_compressed',
+			watermark: '_watermarked',
+			text: '_text',
 			optimize: '_optimized',
 		}
 
@@ -185,33 +256,28 @@ export class FileManager {
 	 * @returns {Promise<Array>}
 	 */
 	async processMultipleImages(images, processor, options = {}) {
-		const results = []
 		const total = images.length
+		let completed = 0
 
 		Logger.header(`PROCESANDO ${total} IMÁGENES`)
 
-		for (let i = 0; i < total; i++) {
-			const image = images[i]
-			Logger.info(`[${i + 1}/${total}] Procesando: ${image.name}`)
-
+		return WorkerPool.map(images, async image => {
 			try {
 				const result = await processor(image.path, options)
-				results.push({
+				Logger.success(`[${++completed}/${total}] ${image.name} procesado`)
+				return {
 					...image,
 					success: true,
 					result,
-				})
-				Logger.success(`✓ ${image.name} procesado`)
+				}
 			} catch (error) {
-				results.push({
+				Logger.error(`[${++completed}/${total}] ${image.name}: ${error.message}`)
+				return {
 					...image,
 					success: false,
 					error: error.message,
-				})
-				Logger.error(`✗ ${image.name}: ${error.message}`)
+				}
 			}
-		}
-
-		return results
+		})
 	}
 }